@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /*
  * Copyright 2025 Ryan Hoegg
  *
@@ -15,9 +16,45 @@
  */
 
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 const axios = require('axios');
 const dotenv = require('dotenv');
+const { readZipEntries } = require('./lib/zip-reader');
+const { analyzeMuleConfigs } = require('./lib/mule-flows');
+const { parseXml } = require('./lib/xml-parser');
+const { formatHelp, loadConfigFile, parseArgs, resolveOptions } = require('./lib/cli');
+const { HostLimiter, attachHostLimiter, createLimiter, mapWithConcurrency } = require('./lib/concurrency');
+const { TokenManager, apiContext, attachResilience, withRetry } = require('./lib/http-client');
+const { Checkpoint } = require('./lib/checkpoint');
+const { calibrateMessageEstimator, cpuAverage, messageFeatures } = require('./lib/calibration');
+const { allocateCosts, loadCostModelFile, normalizeCostModel } = require('./lib/chargeback');
+const { diffInventories } = require('./lib/diff');
+const { buildFlowInventory } = require('./lib/flow-inventory');
+const { AMQL_SEARCH_PATH, buildMessageQuery, toFlowMetrics, toMessageData } = require('./lib/amql');
+const { calibrateFlowPrefixes, estimateFlowsFromRules, loadFlowRulesFile, namePrefix, normalizeFlowRules } = require('./lib/flow-rules');
+const { forecastInventory } = require('./lib/forecast');
+const { renderHtmlReport } = require('./lib/html-report');
+const { buildTable, formatCsv, loadCsvColumnsFile, normalizeCsvColumns, parseDelimiter, selectColumns } = require('./lib/csv-writer');
+const { recommendOptimizations, totalSavings } = require('./lib/recommendations');
+const { extractSeries, summarizeDailySeries, toDailySeries } = require('./lib/metrics');
+const { createWorkbook } = require('./lib/xlsx-writer');
+const { API_PREFIX, ApiError, handleApiRequest, summarizeSnapshot } = require('./lib/inventory-api');
+const { OPENMETRICS_CONTENT_TYPE, PROMETHEUS_CONTENT_TYPE, acceptsOpenMetrics, exporterMetrics, inventoryMetrics, renderMetrics } = require('./lib/prometheus');
+const {
+  compareEntitlements,
+  entitlementsFromOrganization,
+  loadEntitlementsFile,
+  normalizeEntitlements
+} = require('./lib/entitlements');
+const {
+  buildFilters,
+  describeFilters,
+  matchesApplication,
+  matchesEnvironment,
+  sameFilters,
+  selectBusinessGroups
+} = require('./lib/filters');
 
 // Load environment variables if present
 dotenv.config();
@@ -27,25 +64,539 @@ const ANYPOINT_AUTH_URL = 'https://anypoint.mulesoft.com/accounts/api/v2/oauth2/
 const ANYPOINT_API_BASE = 'https://anypoint.mulesoft.com';
 const ANYPOINT_MONITORING_API = 'https://monitoring.anypoint.mulesoft.com/monitoring/api/v2';
 
-// Configuration variables
-const CONFIG = {
-  clientId: process.env.ANYPOINT_CLIENT_ID || process.argv[2],
-  clientSecret: process.env.ANYPOINT_CLIENT_SECRET || process.argv[3],
-  outputDir: 'consumption-data',
-  jarsDir: 'application-jars',
-  debug: process.env.DEBUG || process.argv[4] === 'debug',
-  exportCsv: process.env.EXPORT_CSV !== 'false', // Default to true unless explicitly disabled
-  downloadJars: process.env.DOWNLOAD_JARS !== 'false', // Default to true unless explicitly disabled
-  analyzeDays: parseInt(process.env.ANALYZE_DAYS || '30', 10) // Default to 30 days
+// API hosts that get their own concurrent request limit
+const API_HOSTS = ['accounts', 'cloudhub', 'monitoring', 'hybrid'];
+
+// Subcommands available on the command line
+const COMMANDS = {
+  analyze: {
+    description: 'Analyze deployments across the organization through the Anypoint Platform APIs (default)'
+  },
+  offline: {
+    arguments: '<path>',
+    description: 'Analyze local JARs or Mule project folders without contacting Anypoint Platform'
+  },
+  report: {
+    arguments: '[inventory]',
+    description: 'Regenerate reports from a saved complete-billable-consumption.json'
+  },
+  diff: {
+    arguments: '[old-inventory] [new-inventory]',
+    description: 'Compare two complete-billable-consumption.json snapshots (defaults to the latest archived snapshots)'
+  },
+  export: {
+    description: 'Run the analysis on a schedule and serve the results as Prometheus metrics at /metrics'
+  },
+  serve: {
+    arguments: '[inventory]',
+    description: 'Serve a saved inventory and the archived snapshots through a read-only REST API at /api'
+  }
 };
 
+// Ports the server commands listen on unless --port is given
+const DEFAULT_PORTS = { export: 9464, serve: 8080 };
+
+// Command-line options, each with its environment variable and config file fallback
+const OPTIONS = [
+  {
+    name: 'config',
+    key: 'configFile',
+    type: 'string',
+    valueName: 'file',
+    env: 'CONSUMPTION_ANALYZER_CONFIG',
+    description: 'JSON config file with option defaults'
+  },
+  {
+    name: 'client-id',
+    key: 'clientId',
+    type: 'string',
+    valueName: 'id',
+    env: 'ANYPOINT_CLIENT_ID',
+    commands: ['analyze', 'export'],
+    description: 'Connected App client ID'
+  },
+  {
+    name: 'client-secret',
+    key: 'clientSecret',
+    type: 'string',
+    valueName: 'secret',
+    env: 'ANYPOINT_CLIENT_SECRET',
+    commands: ['analyze', 'export'],
+    description: 'Connected App client secret'
+  },
+  {
+    name: 'output-dir',
+    alias: 'o',
+    key: 'outputDir',
+    type: 'string',
+    valueName: 'dir',
+    env: 'OUTPUT_DIR',
+    default: 'consumption-data',
+    description: 'Directory for reports and data'
+  },
+  {
+    name: 'business-group',
+    key: 'businessGroups',
+    type: 'list',
+    valueName: 'name|id',
+    env: 'BUSINESS_GROUPS',
+    default: [],
+    commands: ['analyze', 'export'],
+    description: 'Only analyze these business groups (repeatable or comma-separated)'
+  },
+  {
+    name: 'exclude-business-group',
+    key: 'excludeBusinessGroups',
+    type: 'list',
+    valueName: 'name|id',
+    env: 'EXCLUDE_BUSINESS_GROUPS',
+    default: [],
+    commands: ['analyze', 'export'],
+    description: 'Skip these business groups'
+  },
+  {
+    name: 'environment',
+    key: 'environments',
+    type: 'list',
+    valueName: 'name|id',
+    env: 'ENVIRONMENTS',
+    default: [],
+    commands: ['analyze', 'export'],
+    description: 'Only analyze these environments'
+  },
+  {
+    name: 'exclude-environment',
+    key: 'excludeEnvironments',
+    type: 'list',
+    valueName: 'name|id',
+    env: 'EXCLUDE_ENVIRONMENTS',
+    default: [],
+    commands: ['analyze', 'export'],
+    description: 'Skip these environments'
+  },
+  {
+    name: 'include-child-business-groups',
+    key: 'includeChildBusinessGroups',
+    type: 'boolean',
+    env: 'INCLUDE_CHILD_BUSINESS_GROUPS',
+    default: false,
+    commands: ['analyze', 'export'],
+    description: 'Apply business group filters to the child business groups of each match as well'
+  },
+  {
+    name: 'environment-type',
+    key: 'environmentTypes',
+    type: 'list',
+    valueName: 'type',
+    env: 'ENVIRONMENT_TYPES',
+    default: [],
+    commands: ['analyze', 'export'],
+    description: 'Only analyze environments of these types: production, sandbox, design'
+  },
+  {
+    name: 'exclude-environment-type',
+    key: 'excludeEnvironmentTypes',
+    type: 'list',
+    valueName: 'type',
+    env: 'EXCLUDE_ENVIRONMENT_TYPES',
+    default: [],
+    commands: ['analyze', 'export'],
+    description: 'Skip environments of these types'
+  },
+  {
+    name: 'application',
+    key: 'applications',
+    type: 'list',
+    valueName: 'pattern',
+    env: 'APPLICATIONS',
+    default: [],
+    commands: ['analyze', 'export', 'offline'],
+    description: 'Only analyze applications whose name matches a glob (order-*) or /regex/'
+  },
+  {
+    name: 'exclude-application',
+    key: 'excludeApplications',
+    type: 'list',
+    valueName: 'pattern',
+    env: 'EXCLUDE_APPLICATIONS',
+    default: [],
+    commands: ['analyze', 'export', 'offline'],
+    description: 'Skip applications whose name matches a glob or /regex/'
+  },
+  {
+    name: 'days',
+    key: 'analyzeDays',
+    type: 'number',
+    valueName: 'n',
+    env: 'ANALYZE_DAYS',
+    default: 30,
+    commands: ['analyze', 'export'],
+    description: 'Number of days of monitoring data to analyze'
+  },
+  {
+    name: 'metrics-interval',
+    key: 'metricsInterval',
+    type: 'string',
+    valueName: 'day|hour',
+    env: 'METRICS_INTERVAL',
+    default: 'day',
+    commands: ['analyze', 'export'],
+    description: 'Bucket size for message counts from the monitoring API; hourly buckets are summed into days'
+  },
+  {
+    name: 'metrics-backend',
+    key: 'metricsBackend',
+    type: 'string',
+    valueName: 'monitoring|amql',
+    env: 'METRICS_BACKEND',
+    default: 'monitoring',
+    commands: ['analyze', 'export'],
+    description: 'Where message and flow counts come from; amql falls back to the monitoring endpoints for anything it does not return'
+  },
+  {
+    name: 'concurrency',
+    key: 'concurrency',
+    type: 'number',
+    valueName: 'n',
+    env: 'CONCURRENCY',
+    default: 4,
+    commands: ['analyze', 'export', 'offline'],
+    description: 'Number of applications analyzed at once across all business groups and environments, and of business groups and environments listed at once'
+  },
+  {
+    name: 'api-concurrency',
+    key: 'apiConcurrency',
+    type: 'list',
+    valueName: 'host=n',
+    env: 'API_CONCURRENCY',
+    default: [],
+    commands: ['analyze', 'export'],
+    description: 'Concurrent request limit per API host (accounts, cloudhub, monitoring, hybrid); defaults to --concurrency'
+  },
+  {
+    name: 'max-retries',
+    key: 'maxRetries',
+    type: 'number',
+    valueName: 'n',
+    env: 'MAX_RETRIES',
+    default: 3,
+    commands: ['analyze', 'export'],
+    description: 'Retries with exponential backoff for API calls failing with 5xx, 429 or network errors'
+  },
+  {
+    name: 'resume',
+    key: 'resume',
+    type: 'boolean',
+    env: 'RESUME',
+    default: false,
+    commands: ['analyze', 'export'],
+    description: 'Resume an interrupted run, reusing applications already analyzed'
+  },
+  {
+    name: 'resume-max-age',
+    key: 'resumeMaxAgeHours',
+    type: 'number',
+    valueName: 'hours',
+    env: 'RESUME_MAX_AGE',
+    default: 24,
+    commands: ['analyze', 'export'],
+    description: 'Re-analyze applications whose saved results are older than this when resuming'
+  },
+  {
+    name: 'format',
+    key: 'formats',
+    type: 'list',
+    valueName: 'formats',
+    env: 'OUTPUT_FORMATS',
+    default: ['csv'],
+    description: 'Report formats to write besides the JSON inventory: csv, html, xlsx'
+  },
+  {
+    name: 'top',
+    key: 'topN',
+    type: 'number',
+    valueName: 'n',
+    env: 'TOP_N',
+    default: 10,
+    commands: ['analyze', 'export', 'offline', 'report'],
+    description: 'Number of applications in the top consumer tables of the HTML report'
+  },
+  {
+    name: 'csv-delimiter',
+    key: 'csvDelimiter',
+    type: 'string',
+    valueName: 'char',
+    env: 'CSV_DELIMITER',
+    default: ',',
+    description: 'Field delimiter of CSV reports, e.g. ";" for Excel in European locales, or "tab"'
+  },
+  {
+    name: 'csv-bom',
+    key: 'csvBom',
+    type: 'boolean',
+    env: 'CSV_BOM',
+    default: false,
+    description: 'Start CSV reports with a UTF-8 byte order mark so Excel detects the encoding'
+  },
+  {
+    name: 'csv-columns',
+    key: 'csvColumnsFile',
+    type: 'string',
+    valueName: 'file',
+    env: 'CSV_COLUMNS_FILE',
+    commands: ['analyze', 'export', 'offline', 'report'],
+    description: 'JSON file with the columns of the application, flow and business group reports'
+  },
+  {
+    name: 'download-jars',
+    key: 'downloadJars',
+    type: 'boolean',
+    env: 'DOWNLOAD_JARS',
+    default: true,
+    commands: ['analyze', 'export'],
+    description: 'Download application JARs for flow analysis'
+  },
+  {
+    name: 'forecast-months',
+    key: 'forecastMonths',
+    type: 'number',
+    valueName: 'n',
+    env: 'FORECAST_MONTHS',
+    default: 12,
+    commands: ['analyze', 'export', 'offline', 'report'],
+    description: 'Number of months to project in the forecast report'
+  },
+  {
+    name: 'entitlements',
+    key: 'entitlementsFile',
+    type: 'string',
+    valueName: 'file',
+    env: 'ENTITLEMENTS_FILE',
+    commands: ['analyze', 'export', 'offline', 'report'],
+    description: 'JSON file with purchased flows, messages per year and business group allocations'
+  },
+  {
+    name: 'cost-model',
+    key: 'costModelFile',
+    type: 'string',
+    valueName: 'file',
+    env: 'COST_MODEL_FILE',
+    commands: ['analyze', 'export', 'offline', 'report'],
+    description: 'JSON file with prices per flow, million messages and vCore for chargeback reports'
+  },
+  {
+    name: 'flow-rules',
+    key: 'flowRulesFile',
+    type: 'string',
+    valueName: 'file',
+    env: 'FLOW_RULES_FILE',
+    commands: ['analyze', 'export', 'offline'],
+    description: 'JSON file with the name patterns, base counts, modifiers and caps for estimating flows without a JAR'
+  },
+  {
+    name: 'calibrate-flows',
+    key: 'calibrateFlows',
+    type: 'boolean',
+    env: 'CALIBRATE_FLOWS',
+    default: false,
+    commands: ['analyze', 'export', 'offline'],
+    description: 'Replace rule-based flow estimates with the average of analyzed applications sharing their name prefix'
+  },
+  {
+    name: 'archive',
+    key: 'archiveSnapshots',
+    type: 'boolean',
+    env: 'ARCHIVE_SNAPSHOTS',
+    default: true,
+    commands: ['analyze', 'offline'],
+    description: 'Keep a copy of each inventory under history/ for later comparison'
+  },
+  {
+    name: 'port',
+    key: 'port',
+    type: 'number',
+    valueName: 'port',
+    env: 'SERVER_PORT',
+    commands: ['export', 'serve'],
+    description: `Port to listen on (default ${DEFAULT_PORTS.export} for export, ${DEFAULT_PORTS.serve} for serve)`
+  },
+  {
+    name: 'host',
+    key: 'host',
+    type: 'string',
+    valueName: 'address',
+    env: 'SERVER_HOST',
+    default: '127.0.0.1',
+    commands: ['export', 'serve'],
+    description: 'Address to listen on; use 0.0.0.0 to accept connections from other hosts'
+  },
+  {
+    name: 'export-interval',
+    key: 'exportIntervalMinutes',
+    type: 'number',
+    valueName: 'minutes',
+    env: 'EXPORT_INTERVAL_MINUTES',
+    default: 60,
+    commands: ['export'],
+    description: 'Minutes between the end of one analysis run and the start of the next'
+  },
+  {
+    name: 'debug',
+    alias: 'd',
+    key: 'debug',
+    type: 'boolean',
+    env: 'DEBUG',
+    default: false,
+    description: 'Enable detailed logging'
+  }
+];
+
+const PROGRAM_NAME = 'consumption-analyzer.js';
+
+/**
+ * Parse per-host limits given as host=n pairs
+ */
+function parseApiConcurrency(pairs) {
+  const limits = {};
+  
+  pairs.forEach(pair => {
+    const [host, value] = pair.split('=');
+    const limit = parseInt(value, 10);
+    if (!API_HOSTS.includes(host) || !(limit > 0)) {
+      throw new Error(`Invalid --api-concurrency value "${pair}"; expected host=n with host one of ${API_HOSTS.join(', ')}`);
+    }
+    limits[host] = limit;
+  });
+  
+  return limits;
+}
+
+// Bucket sizes the monitoring API is asked for, by --metrics-interval
+const METRICS_INTERVALS = { day: '1d', hour: '1h' };
+
+const METRICS_BACKENDS = ['monitoring', 'amql'];
+
+// Report formats written by generateReports, by --format
+const OUTPUT_FORMATS = ['csv', 'html', 'xlsx'];
+
+// Reports whose columns can be chosen with --csv-columns
+const CSV_COLUMN_REPORTS = ['application', 'flow', 'businessGroup'];
+
+/**
+ * Parse the command line and resolve configuration from flags, environment variables and the config file
+ */
+function loadConfiguration(argv) {
+  const cli = parseArgs(argv, {
+    commands: COMMANDS,
+    options: OPTIONS,
+    defaultCommand: process.env.OFFLINE_PATH ? 'offline' : 'analyze'
+  });
+  
+  // Legacy positional usage: <clientId> <clientSecret> [debug]
+  if (cli.command === 'analyze' && cli.positionals.length > 0) {
+    const [clientId, clientSecret, debug] = cli.positionals;
+    if (cli.values.clientId === undefined) cli.values.clientId = clientId;
+    if (cli.values.clientSecret === undefined && clientSecret) cli.values.clientSecret = clientSecret;
+    if (debug === 'debug') cli.values.debug = true;
+  }
+  
+  const fileConfig = loadConfigFile(cli.values.configFile || process.env.CONSUMPTION_ANALYZER_CONFIG);
+  const options = resolveOptions(cli.values, OPTIONS, process.env, fileConfig);
+  
+  if (!METRICS_INTERVALS[options.metricsInterval]) {
+    throw new Error(`Invalid --metrics-interval "${options.metricsInterval}"; expected one of ${Object.keys(METRICS_INTERVALS).join(', ')}`);
+  }
+  if (!METRICS_BACKENDS.includes(options.metricsBackend)) {
+    throw new Error(`Invalid --metrics-backend "${options.metricsBackend}"; expected one of ${METRICS_BACKENDS.join(', ')}`);
+  }
+  const unknownFormats = options.formats.filter(format => !OUTPUT_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    throw new Error(`Invalid --format "${unknownFormats.join(', ')}"; expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (options.port !== undefined && !(Number.isInteger(options.port) && options.port >= 0 && options.port <= 65535)) {
+    throw new Error(`Invalid --port "${options.port}"; expected a whole number from 0 to 65535`);
+  }
+  if (!(options.exportIntervalMinutes > 0)) {
+    throw new Error(`Invalid --export-interval "${options.exportIntervalMinutes}"; expected a number of minutes above 0`);
+  }
+  
+  // EXPORT_CSV=false predates --format and still turns off CSV reports
+  if (process.env.EXPORT_CSV === 'false' && cli.values.formats === undefined) {
+    options.formats = options.formats.filter(format => format !== 'csv');
+  }
+  
+  return {
+    command: cli.command,
+    positionals: cli.positionals,
+    help: cli.help,
+    config: {
+      ...options,
+      jarsDir: 'application-jars',
+      exportCsv: options.formats.includes('csv'),
+      exportHtml: options.formats.includes('html'),
+      exportXlsx: options.formats.includes('xlsx'),
+      port: options.port ?? DEFAULT_PORTS[cli.command] ?? null,
+      // The exporter would otherwise archive a full inventory on every scheduled run
+      archiveSnapshots: options.archiveSnapshots && cli.command !== 'export',
+      csvDelimiter: parseDelimiter(options.csvDelimiter),
+      csvColumns: options.csvColumnsFile
+        ? loadCsvColumnsFile(options.csvColumnsFile, CSV_COLUMN_REPORTS)
+        : fileConfig.csvColumns ? normalizeCsvColumns(fileConfig.csvColumns, CSV_COLUMN_REPORTS, 'config file') : {},
+      concurrency: Math.max(1, Math.floor(options.concurrency)),
+      apiConcurrency: parseApiConcurrency(options.apiConcurrency),
+      offlinePath: cli.command === 'offline' ? (cli.positionals[0] || process.env.OFFLINE_PATH || null) : null,
+      filters: buildFilters(options),
+      // An entitlements file takes precedence over an "entitlements" section in the config file
+      entitlements: options.entitlementsFile
+        ? loadEntitlementsFile(options.entitlementsFile)
+        : fileConfig.entitlements ? normalizeEntitlements(fileConfig.entitlements, 'config file') : null,
+      costModel: options.costModelFile
+        ? loadCostModelFile(options.costModelFile)
+        : fileConfig.costModel ? normalizeCostModel(fileConfig.costModel, 'config file') : null,
+      flowRules: options.flowRulesFile
+        ? loadFlowRulesFile(options.flowRulesFile)
+        : normalizeFlowRules(fileConfig.flowRules || {}, fileConfig.flowRules ? 'config file' : 'built-in rules')
+    }
+  };
+}
+
+let invocation;
+try {
+  invocation = loadConfiguration(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  console.error(`Run "node ${PROGRAM_NAME} --help" for usage.`);
+  process.exit(1);
+}
+
+if (invocation.help) {
+  console.log(formatHelp(PROGRAM_NAME, { commands: COMMANDS, options: OPTIONS },
+    process.argv.slice(2).some(arg => COMMANDS[arg]) ? invocation.command : null));
+  process.exit(0);
+}
+
+// Configuration variables
+const CONFIG = invocation.config;
+
 // Validate required parameters
-if (!CONFIG.clientId || !CONFIG.clientSecret) {
-  console.error('Error: Client ID and Client Secret are required.');
-  console.error('Usage: node consumption-analyzer.js <clientId> <clientSecret> [debug]');
+function failUsage(message) {
+  console.error(`Error: ${message}`);
+  console.error(formatHelp(PROGRAM_NAME, { commands: COMMANDS, options: OPTIONS }, invocation.command));
   process.exit(1);
 }
 
+if ((invocation.command === 'analyze' || invocation.command === 'export') && (!CONFIG.clientId || !CONFIG.clientSecret)) {
+  failUsage('Client ID and Client Secret are required.');
+}
+
+if (invocation.command === 'offline' && !CONFIG.offlinePath) {
+  failUsage('A path to JARs or Mule project folders is required.');
+}
+
+if (invocation.command === 'diff' && invocation.positionals.length > 2) {
+  failUsage('At most two inventory files can be compared.');
+}
+
 if (CONFIG.debug) {
   console.log('Debug mode enabled. Additional information will be displayed.');
   console.log(`Analyzing data for the last ${CONFIG.analyzeDays} days.`);
@@ -66,20 +617,100 @@ const monitoringApi = axios.create({
   }
 });
 
+/**
+ * Classify a request by the API host it counts against for concurrency limits
+ *
+ * Application Manager, Runtime Fabric and Exchange calls share the cloudhub limit.
+ */
+function classifyApiHost(config) {
+  const url = config.url || '';
+  if (config.baseURL === ANYPOINT_MONITORING_API || url.startsWith('/observability')) {
+    return 'monitoring';
+  }
+  
+  if (url.startsWith('/accounts')) {
+    return 'accounts';
+  }
+  if (url.startsWith('/hybrid')) {
+    return 'hybrid';
+  }
+  return 'cloudhub';
+}
+
+const apiLimiter = new HostLimiter(CONFIG.apiConcurrency, CONFIG.concurrency);
+
+// One pool of application slots for the whole run, so nested business group and
+// environment maps don't multiply the number of JARs held in memory at once
+const limitApplications = createLimiter(CONFIG.concurrency);
+const logRateLimit = message => console.log(message);
+const logRetry = message => console.log(message);
+
+// Requests whose callers fall back to other data are retried at most once and,
+// when they still fail, not recorded as failed API calls
+const FALLBACK_REQUEST = { optional: true, maxRetries: Math.min(1, CONFIG.maxRetries) };
+
+// Message estimate sources for applications with only CPU metrics
+const CPU_ONLY_SOURCE = 'CPU metrics only';
+const CALIBRATED_SOURCE = 'Calibrated CPU estimate';
+
+// Archived inventories, one timestamped directory per run
+const HISTORY_DIR = 'history';
+
+// Archived inventories reduced by historySnapshot, by path; archives never change,
+// so each one is read once however many runs and reports use the history
+const archivedSnapshots = new Map();
+
+// Manifest of finished applications for resuming an interrupted analysis
+const CHECKPOINT_FILE = 'checkpoint.json';
+let runCheckpoint = null;
+
+// API calls that still failed after retries, so missing data is not mistaken for zero usage
+const apiFailures = [];
+
+// Shared by every API call; requestAccessToken is defined with getAccessToken below
+const tokenManager = new TokenManager(requestAccessToken);
+
+// The limiter must see each response before the retry layer re-sends the request
+[api, monitoringApi].forEach(instance => {
+  attachHostLimiter(instance, apiLimiter, classifyApiHost, { log: logRateLimit });
+  attachResilience(instance, {
+    tokenManager,
+    failures: apiFailures,
+    maxRetries: CONFIG.maxRetries,
+    log: logRetry
+  });
+});
+
+/**
+ * Request a new access token for Anypoint Platform API access
+ */
+async function requestAccessToken() {
+  const response = await withRetry(() => axios.post(ANYPOINT_AUTH_URL, {
+    grant_type: 'client_credentials',
+    client_id: CONFIG.clientId,
+    client_secret: CONFIG.clientSecret
+  }), {
+    maxRetries: CONFIG.maxRetries,
+    description: 'Access token request',
+    log: logRetry
+  });
+  
+  return {
+    accessToken: response.data.access_token,
+    expiresIn: response.data.expires_in
+  };
+}
+
 /**
  * Get access token for Anypoint Platform API access
+ *
+ * The token is refreshed automatically before it expires and whenever an API
+ * call is rejected with 401, so long runs keep working past the token lifetime.
  */
 async function getAccessToken() {
   try {
-    const response = await axios.post(ANYPOINT_AUTH_URL, {
-      grant_type: 'client_credentials',
-      client_id: CONFIG.clientId,
-      client_secret: CONFIG.clientSecret
-    });
-    
-    return response.data.access_token;
+    return await tokenManager.get();
   } catch (error) {
-    // TODO: Add retry logic for failed API calls
     console.error('Error getting access token:', error.message);
     if (error.response && error.response.data) {
       console.error(error.response.data);
@@ -99,7 +730,8 @@ async function getRootOrganization(token) {
     
     return {
       id: response.data.user.organizationId,
-      name: response.data.user.organization.name
+      name: response.data.user.organization.name,
+      entitlements: response.data.user.organization.entitlements || null
     };
   } catch (error) {
     console.error('Error getting root organization:', error.message);
@@ -236,7 +868,8 @@ async function getApplications(token, orgId, envId) {
       muleVersion: app.muleVersion || 'Unknown',
       workerSize: app.workers?.type?.weight || 0,
       workerType: app.workers?.type?.name || 'Unknown',
-      numberOfWorkers: app.workers?.amount || 0
+      numberOfWorkers: app.workers?.amount || 0,
+      platform: 'CloudHub 1.0'
     }));
   } catch (error) {
     console.error(`Error getting applications for environment ${envId}:`, error.message);
@@ -255,6 +888,304 @@ async function getApplications(token, orgId, envId) {
   }
 }
 
+/**
+ * Get the Runtime Fabric, private space and shared space targets visible to a business group
+ *
+ * Used to label Application Manager deployments with the platform they run on.
+ * Returns a map of target ID to target type.
+ */
+async function getRuntimeTargets(token, orgId) {
+  try {
+    const response = await api.get(`/runtimefabric/api/organizations/${orgId}/targets`, {
+      headers: { Authorization: `Bearer ${token}` },
+      ...FALLBACK_REQUEST
+    });
+    
+    const targets = Array.isArray(response.data) ? response.data : (response.data?.data || []);
+    const targetTypes = {};
+    targets.forEach(target => {
+      targetTypes[target.id] = target.type;
+    });
+    
+    if (CONFIG.debug) {
+      console.log(`DEBUG: Found ${targets.length} runtime targets for business group ${orgId}`);
+    }
+    
+    return targetTypes;
+  } catch (error) {
+    console.log(`Unable to fetch runtime targets for business group ${orgId}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Describe the platform an Application Manager deployment runs on
+ */
+function describeDeploymentPlatform(targetId, targetTypes) {
+  const targetType = targetTypes[targetId];
+  
+  if (targetType === 'runtime-fabric') {
+    return 'Runtime Fabric';
+  }
+  
+  if (targetType === 'private-space' || targetType === 'shared-space') {
+    return 'CloudHub 2.0';
+  }
+  
+  // Shared spaces are named after their region, e.g. cloudhub-us-east-2
+  if (targetId && targetId.startsWith('cloudhub-')) {
+    return 'CloudHub 2.0';
+  }
+  
+  return 'Runtime Fabric';
+}
+
+/**
+ * Get Runtime Fabric and CloudHub 2.0 deployments from the Application Manager API
+ *
+ * Deployments are normalized into the same shape returned by getApplications,
+ * with replicas and vCores standing in for worker count and worker type.
+ */
+async function getDeployments(token, orgId, envId, targetTypes = {}) {
+  const deploymentsUrl = `/amc/application-manager/api/v2/organizations/${orgId}/environments/${envId}/deployments`;
+  
+  try {
+    if (CONFIG.debug) {
+      console.log(`DEBUG: Fetching deployments from ${ANYPOINT_API_BASE}${deploymentsUrl}`);
+    }
+    
+    const response = await api.get(deploymentsUrl, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    
+    const deployments = response.data?.items || [];
+    
+    if (CONFIG.debug) {
+      console.log(`DEBUG: API returned ${deployments.length} deployments`);
+    }
+    
+    // The list endpoint only returns a summary, so fetch each deployment for replicas and vCores
+    return await mapWithConcurrency(deployments, CONFIG.concurrency, async deployment => {
+      const details = await getDeploymentDetails(token, orgId, envId, deployment.id);
+      return normalizeDeployment(details || deployment, targetTypes);
+    });
+  } catch (error) {
+    console.error(`Error getting deployments for environment ${envId}:`, error.message);
+    if (error.response) {
+      console.error(`Status: ${error.response.status}`);
+    }
+    return [];
+  }
+}
+
+/**
+ * Get a single Application Manager deployment including its application and target settings
+ */
+async function getDeploymentDetails(token, orgId, envId, deploymentId) {
+  try {
+    const response = await api.get(`/amc/application-manager/api/v2/organizations/${orgId}/environments/${envId}/deployments/${deploymentId}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    
+    return response.data || null;
+  } catch (error) {
+    console.error(`Error getting details for deployment ${deploymentId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Convert an Application Manager deployment into the application shape used by the inventory
+ */
+function normalizeDeployment(deployment, targetTypes) {
+  const ref = deployment.application?.ref || {};
+  const vCores = parseFloat(deployment.application?.vCores) || 0;
+  const replicas = Array.isArray(deployment.replicas)
+    ? deployment.replicas.length
+    : (deployment.target?.replicas || 0);
+  
+  return {
+    domain: deployment.name,
+    status: deployment.application?.status || deployment.status,
+    lastUpdateTime: deployment.lastModifiedDate || deployment.creationDate,
+    fileName: ref.artifactId && ref.version ? `${ref.artifactId}-${ref.version}-mule-application.jar` : null,
+    muleVersion: deployment.currentRuntimeVersion || deployment.target?.deploymentSettings?.runtimeVersion || 'Unknown',
+    workerSize: vCores,
+    workerType: vCores ? `${vCores} vCore` : 'Unknown',
+    numberOfWorkers: replicas,
+    platform: describeDeploymentPlatform(deployment.target?.targetId, targetTypes),
+    deploymentId: deployment.id,
+    targetId: deployment.target?.targetId || null,
+    replicas,
+    vCores,
+    artifact: ref.artifactId ? {
+      groupId: ref.groupId,
+      artifactId: ref.artifactId,
+      version: ref.version
+    } : null
+  };
+}
+
+/**
+ * Build application details for an Application Manager deployment
+ *
+ * The flow estimation reads CloudHub 1.0 style details, so replicas and vCores
+ * are mapped onto the workers structure it already understands.
+ */
+function getDeploymentAppDetails(app) {
+  return {
+    domain: app.domain,
+    fileName: app.fileName,
+    artifact: app.artifact,
+    workers: {
+      amount: app.replicas,
+      type: { weight: app.vCores }
+    }
+  };
+}
+
+/**
+ * Get a list resource from the ARM hybrid API for an environment
+ */
+async function getHybridResource(token, orgId, envId, resource) {
+  const response = await api.get(`/hybrid/api/v1/${resource}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'X-ANYPNT-ORG-ID': orgId,
+      'X-ANYPNT-ENV-ID': envId
+    }
+  });
+  
+  if (Array.isArray(response.data)) {
+    return response.data;
+  }
+  
+  return response.data?.data || [];
+}
+
+/**
+ * Get on-premise servers, clusters, server groups and their applications from ARM
+ *
+ * Applications are normalized into the same shape returned by getApplications,
+ * with the server, cluster or server group they are deployed to recorded as the target.
+ */
+async function getHybridInventory(token, orgId, envId) {
+  const hybridInventory = {
+    servers: [],
+    clusters: [],
+    serverGroups: [],
+    applications: []
+  };
+  
+  try {
+    if (CONFIG.debug) {
+      console.log(`DEBUG: Fetching hybrid servers, clusters and server groups for environment ${envId}`);
+    }
+    
+    const [servers, clusters, serverGroups] = await Promise.all([
+      getHybridResource(token, orgId, envId, 'servers'),
+      getHybridResource(token, orgId, envId, 'clusters'),
+      getHybridResource(token, orgId, envId, 'serverGroups')
+    ]);
+    
+    hybridInventory.servers = servers.map(server => ({
+      id: server.id,
+      name: server.name,
+      status: server.status,
+      muleVersion: server.muleVersion || 'Unknown',
+      clusterId: server.clusterId || null,
+      serverGroupId: server.serverGroupId || null
+    }));
+    
+    hybridInventory.clusters = clusters.map(cluster => ({
+      id: cluster.id,
+      name: cluster.name,
+      status: cluster.status,
+      serverIds: (cluster.servers || []).map(server => server.id)
+    }));
+    
+    hybridInventory.serverGroups = serverGroups.map(serverGroup => ({
+      id: serverGroup.id,
+      name: serverGroup.name,
+      status: serverGroup.status,
+      serverIds: (serverGroup.servers || []).map(server => server.id)
+    }));
+    
+    // Nothing can be deployed without a registered server
+    if (servers.length === 0) {
+      return hybridInventory;
+    }
+    
+    const applications = await getHybridResource(token, orgId, envId, 'applications');
+    hybridInventory.applications = applications.map(app => normalizeHybridApplication(app, hybridInventory));
+    
+    if (CONFIG.debug) {
+      console.log(`DEBUG: Found ${servers.length} servers, ${clusters.length} clusters, ${serverGroups.length} server groups and ${applications.length} hybrid applications`);
+    }
+  } catch (error) {
+    console.error(`Error getting hybrid inventory for environment ${envId}:`, error.message);
+    if (error.response) {
+      console.error(`Status: ${error.response.status}`);
+    }
+  }
+  
+  return hybridInventory;
+}
+
+/**
+ * Convert an ARM hybrid application into the application shape used by the inventory
+ */
+function normalizeHybridApplication(app, hybridInventory) {
+  const target = app.target || {};
+  const targetType = (target.type || 'SERVER').toUpperCase();
+  
+  // Resolve the servers behind the target to report runtime version and node count
+  let targetServers;
+  if (targetType === 'CLUSTER') {
+    const cluster = hybridInventory.clusters.find(c => c.id === target.id);
+    targetServers = hybridInventory.servers.filter(server => cluster?.serverIds.includes(server.id));
+  } else if (targetType === 'SERVER_GROUP') {
+    const serverGroup = hybridInventory.serverGroups.find(g => g.id === target.id);
+    targetServers = hybridInventory.servers.filter(server => serverGroup?.serverIds.includes(server.id));
+  } else {
+    targetServers = hybridInventory.servers.filter(server => server.id === target.id);
+  }
+  
+  return {
+    domain: app.artifact?.name || app.name,
+    status: app.lastReportedStatus || app.desiredStatus,
+    lastUpdateTime: app.artifact?.lastUpdateTime || app.timeUpdated || null,
+    fileName: app.artifact?.fileName || null,
+    muleVersion: targetServers[0]?.muleVersion || 'Unknown',
+    workerSize: 0,
+    workerType: 'Hybrid',
+    numberOfWorkers: targetServers.length,
+    platform: 'Hybrid',
+    hybridApplicationId: app.id,
+    target: {
+      id: target.id,
+      name: target.name,
+      type: targetType
+    }
+  };
+}
+
+/**
+ * Build application details for a hybrid application
+ *
+ * The ARM artifact endpoint used by downloadApplicationJar takes the hybrid application ID.
+ */
+function getHybridAppDetails(app) {
+  return {
+    domain: app.domain,
+    fileName: app.fileName,
+    versionId: app.hybridApplicationId,
+    workers: {
+      amount: app.numberOfWorkers
+    }
+  };
+}
+
 /**
  * Get detailed application information including deployment and file data
  */
@@ -303,7 +1234,6 @@ async function downloadApplicationJar(token, orgId, envId, appDetails) {
     return null;
   }
   
-  // TODO: Implement parallel JAR downloads for better performance
   const domain = appDetails.domain;
   const fileName = appDetails.fileName || `${domain}.jar`;
   
@@ -366,7 +1296,8 @@ async function downloadApplicationJar(token, orgId, envId, appDetails) {
           'X-ANYPNT-ORG-ID': orgId,
           'X-ANYPNT-ENV-ID': envId
         },
-        responseType: 'arraybuffer'
+        responseType: 'arraybuffer',
+        ...FALLBACK_REQUEST
       });
       
       if (!response.data) {
@@ -428,92 +1359,171 @@ async function downloadApplicationJar(token, orgId, envId, appDetails) {
 }
 
 /**
- * Get monitoring information for an application
+ * Download the application JAR for an Application Manager deployment from Exchange
+ *
+ * CloudHub 2.0 and Runtime Fabric applications are deployed from Exchange assets,
+ * so the artifact is fetched from the asset's mule-application file.
  */
-async function getApplicationMonitoringData(token, orgId, envId, applicationDomain) {
+async function downloadExchangeApplicationJar(token, appDetails) {
+  if (!CONFIG.downloadJars) {
+    return null;
+  }
+  
+  const domain = appDetails.domain;
+  const artifact = appDetails.artifact;
+  
+  if (!artifact || !appDetails.fileName) {
+    console.log(`No artifact information available for ${domain}. Cannot download JAR.`);
+    return null;
+  }
+  
   try {
-    // Calculate date range for monitoring data
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - CONFIG.analyzeDays);
+    const jarsDirPath = path.join(CONFIG.outputDir, CONFIG.jarsDir);
+    ensureDirectoryExists(jarsDirPath);
     
-    const startTimestamp = startDate.getTime();
-    const endTimestamp = endDate.getTime();
+    const jarPath = path.join(jarsDirPath, appDetails.fileName);
+    
+    if (fs.existsSync(jarPath)) {
+      console.log(`JAR file for ${domain} already exists at ${jarPath}`);
+      const stats = fs.statSync(jarPath);
+      return {
+        jarPath,
+        downloaded: false,
+        size: stats.size
+      };
+    }
+    
+    console.log(`Attempting to download JAR for ${domain} from Exchange`);
+    
+    const assetResponse = await api.get(`/exchange/api/v2/assets/${artifact.groupId}/${artifact.artifactId}/${artifact.version}`, {
+      headers: { Authorization: `Bearer ${token}` },
+      ...FALLBACK_REQUEST
+    });
+    
+    const files = assetResponse.data?.files || [];
+    const jarFile = files.find(file => file.classifier === 'mule-application' && file.packaging === 'jar');
+    const downloadUrl = jarFile && (jarFile.externalLink || jarFile.downloadURL);
+    
+    if (!downloadUrl) {
+      console.log(`No mule-application file found in Exchange asset for ${domain}`);
+      return null;
+    }
     
     if (CONFIG.debug) {
-      console.log(`DEBUG: Fetching monitoring data for ${applicationDomain} from ${startDate.toISOString()} to ${endDate.toISOString()}`);
+      console.log(`DEBUG: Downloading ${artifact.groupId}:${artifact.artifactId}:${artifact.version}`);
     }
-
-    // Get message count metrics
-    let messageData = null;
-    try {
-      const messageResponse = await monitoringApi.get(`/organizations/${orgId}/environments/${envId}/applications/${applicationDomain}/metrics`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        },
-        params: {
-          from: startTimestamp,
-          to: endTimestamp,
-          metrics: 'messageCount'
-        }
+    
+    // External links are pre-signed and must not carry the platform token
+    const response = jarFile.externalLink
+      ? await withRetry(() => axios.get(downloadUrl, { responseType: 'arraybuffer' }), {
+        maxRetries: FALLBACK_REQUEST.maxRetries,
+        description: `Exchange download for ${domain}`,
+        log: logRetry
+      })
+      : await api.get(downloadUrl, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'arraybuffer',
+        ...FALLBACK_REQUEST
       });
-      
-      if (messageResponse.data && !messageResponse.data.error) {
-        messageData = messageResponse.data;
-      }
-    } catch (error) {
-      console.log(`Unable to fetch message count metrics for ${applicationDomain}: ${error.message}`);
+    
+    fs.writeFileSync(jarPath, Buffer.from(response.data));
+    console.log(`Downloaded JAR file for ${domain} to ${jarPath} from Exchange`);
+    
+    return {
+      jarPath,
+      downloaded: true,
+      size: response.data.length,
+      method: 'exchange'
+    };
+  } catch (error) {
+    console.error(`Exchange download failed for ${domain}: ${error.message}`);
+    if (error.response) {
+      console.error(`Status: ${error.response.status}`);
     }
+    console.log(`Will use application metadata to estimate flow counts instead.`);
+    return null;
+  }
+}
+
+/**
+ * Get monitoring information for an application
+ */
+async function getApplicationMonitoringData(token, orgId, envId, applicationDomain) {
+  try {
+    // Calculate date range for monitoring data
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - CONFIG.analyzeDays);
     
-    // Get CPU/memory metrics as a fallback
-    let resourceData = null;
-    try {
-      const resourceResponse = await monitoringApi.get(`/organizations/${orgId}/environments/${envId}/applications/${applicationDomain}/metrics`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        },
-        params: {
-          from: startTimestamp,
-          to: endTimestamp,
-          metrics: 'cpu,memory'
-        }
-      });
-      
-      if (resourceResponse.data && !resourceResponse.data.error) {
-        resourceData = resourceResponse.data;
-      }
-    } catch (error) {
-      console.log(`Unable to fetch resource metrics for ${applicationDomain}: ${error.message}`);
+    const startTimestamp = startDate.getTime();
+    const endTimestamp = endDate.getTime();
+    
+    if (CONFIG.debug) {
+      console.log(`DEBUG: Fetching monitoring data for ${applicationDomain} from ${startDate.toISOString()} to ${endDate.toISOString()}`);
     }
+
+    const applicationUrl = `/organizations/${orgId}/environments/${envId}/applications/${applicationDomain}`;
     
-    // Get flow metrics if available
-    let flowMetrics = null;
-    try {
-      const flowResponse = await monitoringApi.get(`/organizations/${orgId}/environments/${envId}/applications/${applicationDomain}/flows/metrics`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        },
-        params: {
-          from: startTimestamp,
-          to: endTimestamp
+    // Fetch a metrics resource, returning null when it is unavailable
+    const fetchMetrics = async (description, url, params) => {
+      try {
+        const response = await monitoringApi.get(url, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          },
+          params: {
+            from: startTimestamp,
+            to: endTimestamp,
+            ...params
+          },
+          ...FALLBACK_REQUEST
+        });
+        
+        if (response.data && !response.data.error) {
+          return response.data;
         }
-      });
-      if (flowResponse.data && !flowResponse.data.error) {
-        flowMetrics = flowResponse.data;
+      } catch (error) {
+        console.log(`Unable to fetch ${description} for ${applicationDomain}: ${error.message}`);
       }
-    } catch (error) {
-      console.log(`Unable to fetch flow metrics for ${applicationDomain}: ${error.message}`);
-    }
+      return null;
+    };
+    
+    // Message and flow counts from the Metrics Query API when selected; the monitoring
+    // endpoints fill in whatever it doesn't return
+    const amqlData = CONFIG.metricsBackend === 'amql'
+      ? await getAmqlMessageMetrics(token, orgId, envId, applicationDomain, startTimestamp, endTimestamp)
+      : null;
+    
+    // Message counts per day or hour, CPU/memory as a fallback, and flow metrics if available
+    const [messageData, resourceData, flowMetrics] = await Promise.all([
+      amqlData?.messageData || fetchMetrics('message count metrics', `${applicationUrl}/metrics`, {
+        metrics: 'messageCount',
+        interval: METRICS_INTERVALS[CONFIG.metricsInterval]
+      }),
+      fetchMetrics('resource metrics', `${applicationUrl}/metrics`, { metrics: 'cpu,memory' }),
+      amqlData?.flowMetrics || fetchMetrics('flow metrics', `${applicationUrl}/flows/metrics`, {})
+    ]);
+    
+    const period = {
+      from: startDate.toISOString(),
+      to: endDate.toISOString(),
+      days: CONFIG.analyzeDays
+    };
+    
+    // Keep the daily series in the inventory so volumes can be re-examined without the API
+    const buckets = extractSeries(messageData, 'messageCount');
+    const daily = buckets.length > 0 ? toDailySeries(buckets, period) : [];
+    const messageSeries = daily.length > 0
+      ? { interval: CONFIG.metricsInterval, daily }
+      : null;
     
     return {
+      backend: amqlData?.messageData ? 'amql' : 'monitoring',
       messageData,
+      messageSeries,
       resourceData,
       flowMetrics,
-      period: {
-        from: startDate.toISOString(),
-        to: endDate.toISOString(),
-        days: CONFIG.analyzeDays
-      }
+      period
     };
   } catch (error) {
     console.error(`Error getting monitoring data for ${applicationDomain}:`, error.message);
@@ -521,12 +1531,112 @@ async function getApplicationMonitoringData(token, orgId, envId, applicationDoma
   }
 }
 
+/**
+ * Query daily message counts for an application and its flows from the Metrics Query API
+ *
+ * Returns null when the queries fail, so the monitoring endpoints are used instead.
+ * Failures are not recorded as failed API calls since there is a fallback.
+ */
+async function getAmqlMessageMetrics(token, orgId, envId, applicationDomain, from, to) {
+  const search = async byFlow => {
+    const query = buildMessageQuery({ orgId, envId, appId: applicationDomain, from, to, byFlow });
+    if (CONFIG.debug) {
+      console.log(`DEBUG: AMQL query: ${query}`);
+    }
+    
+    const response = await api.post(AMQL_SEARCH_PATH, { query }, {
+      headers: { Authorization: `Bearer ${token}` },
+      ...FALLBACK_REQUEST
+    });
+    return response.data;
+  };
+  
+  try {
+    const [appRows, flowRows] = await Promise.all([search(false), search(true)]);
+    const amqlData = {
+      messageData: toMessageData(appRows),
+      flowMetrics: toFlowMetrics(flowRows)
+    };
+    
+    if (!amqlData.messageData) {
+      console.log(`No AMQL message metrics for ${applicationDomain}, using the monitoring endpoints`);
+    }
+    return amqlData;
+  } catch (error) {
+    console.log(`AMQL query failed for ${applicationDomain} (${error.message}), using the monitoring endpoints`);
+    return null;
+  }
+}
+
+/**
+ * Check whether a JAR entry could be a Mule configuration file
+ *
+ * Packaged Mule 4 applications keep their configs at the root of the JAR,
+ * and JARs built with sources attached also carry them under src/main/mule.
+ */
+function isMuleConfigCandidate(entryName) {
+  if (!entryName.endsWith('.xml')) {
+    return false;
+  }
+  
+  return !entryName.includes('/') || /(^|\/)src\/main\/mule\//.test(entryName);
+}
+
+/**
+ * Read the Mule configuration files from a JAR into memory
+ *
+ * Prefers the packaged root-level configs and only uses src/main/mule sources
+ * when the JAR has no packaged configs, so attached sources are not counted twice.
+ */
+async function readMuleConfigsFromJar(jarPath) {
+  const entries = await readZipEntries(jarPath, isMuleConfigCandidate);
+  
+  const configs = entries
+    .map(entry => ({ name: entry.name, content: entry.content.toString('utf8') }))
+    .filter(entry => entry.content.includes('<mule'));
+  
+  const packagedConfigs = configs.filter(config => !config.name.includes('/'));
+  return packagedConfigs.length > 0 ? packagedConfigs : configs;
+}
+
+/**
+ * Read the Mule configuration files from a Mule project source folder
+ */
+function readMuleConfigsFromDirectory(projectDir) {
+  const muleDir = path.join(projectDir, 'src', 'main', 'mule');
+  const configs = [];
+  
+  if (!fs.existsSync(muleDir)) {
+    return configs;
+  }
+  
+  const collect = dir => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          collect(entryPath);
+        } else if (entry.name.endsWith('.xml')) {
+          configs.push({
+            name: path.relative(projectDir, entryPath).split(path.sep).join('/'),
+            content: fs.readFileSync(entryPath, 'utf8')
+          });
+        }
+      });
+  };
+  collect(muleDir);
+  
+  return configs.filter(config => config.content.includes('<mule'));
+}
+
 /**
  * Analyze flow information from JAR file or application metadata
  * 
  * This function tries to analyze a JAR file if available, but can also
  * make educated estimates based on application metadata when the JAR
- * cannot be downloaded or analyzed.
+ * cannot be downloaded or analyzed. A Mule project source folder can be
+ * given in place of a JAR.
  */
 async function analyzeJarForFlows(jarPath, appDetails) {
   // If JAR file is not available, use metadata estimation
@@ -537,93 +1647,47 @@ async function analyzeJarForFlows(jarPath, appDetails) {
   
   try {
     const stats = fs.statSync(jarPath);
+    const isProjectDirectory = stats.isDirectory();
     const fileSizeInMB = stats.size / (1024 * 1024);
     
-    // Step 1: Try to extract and analyze Mule configuration files from the JAR
+    // Step 1: Try to read and analyze Mule configuration files from the JAR
     let extractedFlows = null;
     let flowSource = null;
+    let flowDetails = null;
     
     try {
-      // Use AdmZip to extract and analyze the JAR
-      const { exec } = require('child_process');
-      const path = require('path');
-      const os = require('os');
-      
-      // Create a temporary directory for extraction
-      const tempDir = path.join(os.tmpdir(), `mule-analysis-${Date.now()}`);
-      ensureDirectoryExists(tempDir);
-      
-      // Extract the JAR file
-      console.log(`Extracting JAR file ${jarPath} to ${tempDir} for analysis`);
-      
-      await new Promise((resolve, reject) => {
-        // hack: using shell commands because no good zip library
-        const command = `unzip -q "${jarPath}" -d "${tempDir}"`;
-        exec(command, (error, stdout, stderr) => {
-          if (error && error.code !== 1) { // unzip returns 1 if some files couldn't be extracted
-            console.log(`Error extracting JAR: ${error.message}`);
-            resolve(false);
-          } else {
-            resolve(true);
-          }
-        });
-      });
-      
-      // Look for Mule configuration files
-      const findMuleConfigsCommand = `find "${tempDir}" -name "*.xml" | grep -v "pom.xml" | xargs grep -l "<mule" || echo "No Mule configs found"`;
-      
-      const muleConfigFiles = await new Promise((resolve, reject) => {
-        exec(findMuleConfigsCommand, (error, stdout, stderr) => {
-          if (stdout.trim() === "No Mule configs found") {
-            resolve([]);
-          } else {
-            resolve(stdout.trim().split('\n').filter(f => f));
-          }
-        });
-      });
+      let muleConfigs;
+      if (isProjectDirectory) {
+        console.log(`Reading Mule configuration files from project folder ${jarPath}`);
+        muleConfigs = readMuleConfigsFromDirectory(jarPath);
+      } else {
+        console.log(`Reading Mule configuration files from JAR file ${jarPath}`);
+        muleConfigs = await readMuleConfigsFromJar(jarPath);
+      }
       
-      if (muleConfigFiles.length > 0) {
-        console.log(`Found ${muleConfigFiles.length} Mule configuration files`);
+      if (muleConfigs.length > 0) {
+        console.log(`Found ${muleConfigs.length} Mule configuration files`);
         
-        // Count flows, sub-flows, and other billable elements in each config file
-        let totalFlows = 0;
-        let totalSubFlows = 0;
-        let totalOtherFlows = 0;
+        // Parse each config and count flows following Mule billing rules
+        const configAnalysis = analyzeMuleConfigs(muleConfigs);
         
-        for (const configFile of muleConfigFiles) {
-          const grepFlowsCommand = `grep -c "<flow" "${configFile}" || echo 0`;
-          const grepSubFlowsCommand = `grep -c "<sub-flow" "${configFile}" || echo 0`;
-          const grepOtherFlowsCommand = `grep -c "<\\(batch\\|async\\|until-successful\\|scatter-gather\\)" "${configFile}" || echo 0`;
-          
-          const flowCount = parseInt(await new Promise((resolve) => {
-            exec(grepFlowsCommand, (error, stdout) => resolve(stdout.trim()));
-          }), 10);
-          
-          const subFlowCount = parseInt(await new Promise((resolve) => {
-            exec(grepSubFlowsCommand, (error, stdout) => resolve(stdout.trim()));
-          }), 10);
-          
-          const otherFlowCount = parseInt(await new Promise((resolve) => {
-            exec(grepOtherFlowsCommand, (error, stdout) => resolve(stdout.trim()));
-          }), 10);
+        configAnalysis.parseErrors.forEach(parseError => {
+          console.log(`Unable to parse ${parseError.file}: ${parseError.error}`);
+        });
+        
+        if (configAnalysis.configFiles.length > 0) {
+          extractedFlows = configAnalysis.billableFlows;
+          flowDetails = configAnalysis;
+          flowSource = 'XML analysis';
           
-          totalFlows += flowCount;
-          totalSubFlows += subFlowCount;
-          totalOtherFlows += otherFlowCount;
+          console.log(`Found ${configAnalysis.flows} flows (${configAnalysis.apikitFlows} APIkit, ${configAnalysis.schedulerFlows} scheduler), ${configAnalysis.subFlows} sub-flows, ${configAnalysis.batchJobs} batch jobs and ${configAnalysis.errorHandlers} error handlers`);
+          console.log(`Billable flows: ${configAnalysis.billableFlows}`);
         }
-        
-        extractedFlows = totalFlows + totalSubFlows + totalOtherFlows;
-        flowSource = 'XML analysis';
-        
-        console.log(`Found ${totalFlows} flows, ${totalSubFlows} sub-flows, and ${totalOtherFlows} other flow elements`);
-        
-        // Clean up the temporary directory
-        exec(`rm -rf "${tempDir}"`);
       } else {
-        console.log('No Mule configuration files found in JAR');
+        console.log(`No Mule configuration files found in ${isProjectDirectory ? 'project folder' : 'JAR'}`);
       }
     } catch (extractError) {
-      console.error(`Error extracting/analyzing JAR contents: ${extractError.message}`);
+      console.error(`Error reading/analyzing JAR contents: ${extractError.message}`);
     }
     
     // Step 2: Fall back to heuristic if extraction didn't work
@@ -632,11 +1696,15 @@ async function analyzeJarForFlows(jarPath, appDetails) {
         estimatedFlows: extractedFlows,
         confidence: 'high',
         source: flowSource,
-        size: fileSizeInMB.toFixed(2) + ' MB',
+        size: isProjectDirectory ? null : fileSizeInMB.toFixed(2) + ' MB',
         details: {
-          actualAnalysis: true
+          actualAnalysis: true,
+          ...flowDetails
         }
       };
+    } else if (isProjectDirectory) {
+      // A project folder has no meaningful size, so fall back to metadata
+      return estimateBasedOnAppDetails(appDetails);
     } else {
       // Simple heuristic: estimate 1 flow per 0.5 MB of JAR size
       // with a minimum of 1 flow and maximum of 20 flows
@@ -659,101 +1727,11 @@ async function analyzeJarForFlows(jarPath, appDetails) {
   }
 }
 
+/**
+ * Estimate flows from application metadata with the configured flow rules
+ */
 function estimateBasedOnAppDetails(appDetails) {
-  // Start with a base value
-  let estimatedFlows = 2; // Default base assumption
-  let confidence = 'low';
-  let source = 'Application metadata';
-  
-  if (!appDetails) {
-    return {
-      estimatedFlows,
-      confidence,
-      source: 'Default estimate (no metadata)'
-    };
-  }
-  
-  // Try to use the filename to infer complexity
-  if (appDetails.fileName) {
-    const fileName = appDetails.fileName.toLowerCase();
-    
-    // Check if it contains terms that suggest complexity
-    if (fileName.includes('eapi') || fileName.includes('experience-api')) {
-      // Experience APIs tend to have more flows (routing, API implementations)
-      estimatedFlows = 5;
-      source = 'EAPI filename pattern';
-    } else if (fileName.includes('papi') || fileName.includes('process-api')) {
-      // Process APIs often have complex orchestration
-      estimatedFlows = 7; 
-      source = 'PAPI filename pattern';
-    } else if (fileName.includes('sapi') || fileName.includes('system-api')) {
-      // System APIs can be simpler with fewer flows
-      estimatedFlows = 3;
-      source = 'SAPI filename pattern';
-    }
-    
-    // Check if it mentions specific integrations that tend to be complex
-    if (fileName.includes('salesforce') || fileName.includes('sfdc')) {
-      estimatedFlows += 2; // Salesforce integrations often have more logic
-      source += ' + Salesforce pattern';
-    } else if (fileName.includes('onbase') || fileName.includes('database')) {
-      estimatedFlows += 1; // Database integrations often have some complexity
-      source += ' + Database pattern';
-    } else if (fileName.includes('splunk')) {
-      estimatedFlows += 1; // Splunk integrations have some complexity
-      source += ' + Splunk pattern';
-    }
-  } else if (appDetails.domain) {
-    // Try to infer from domain name if filename is not available
-    const domain = appDetails.domain.toLowerCase();
-    
-    if (domain.includes('eapi') || domain.includes('experience')) {
-      estimatedFlows = 5;
-      source = 'EAPI domain pattern';
-    } else if (domain.includes('papi') || domain.includes('process')) {
-      estimatedFlows = 7;
-      source = 'PAPI domain pattern';
-    } else if (domain.includes('sapi') || domain.includes('system')) {
-      estimatedFlows = 3;
-      source = 'SAPI domain pattern';
-    }
-    
-    // Check for integration patterns in domain
-    if (domain.includes('salesforce') || domain.includes('sfdc')) {
-      estimatedFlows += 2;
-      source += ' + Salesforce pattern';
-    } else if (domain.includes('onbase') || domain.includes('database')) {
-      estimatedFlows += 1;
-      source += ' + Database pattern';
-    } else if (domain.includes('splunk')) {
-      estimatedFlows += 1;
-      source += ' + Splunk pattern';
-    }
-  }
-  
-  // Use worker count/size as a hint about application complexity
-  if (appDetails.workers) {
-    if (appDetails.workers.amount > 1) {
-      // Multiple workers suggest a more complex or high-volume application
-      estimatedFlows += Math.min(3, appDetails.workers.amount - 1);
-      source += ' + Multiple workers';
-    }
-    
-    if (appDetails.workers.type && appDetails.workers.type.weight > 0.1) {
-      // Larger worker sizes suggest more complex processing
-      estimatedFlows += Math.min(3, Math.round(appDetails.workers.type.weight * 10));
-      source += ' + Larger worker size';
-    }
-  }
-  
-  // Cap to reasonable limits
-  estimatedFlows = Math.max(1, Math.min(20, estimatedFlows));
-  
-  return {
-    estimatedFlows,
-    confidence,
-    source
-  };
+  return estimateFlowsFromRules(appDetails, CONFIG.flowRules);
 }
 
 /**
@@ -769,7 +1747,36 @@ function estimateMessageVolume(monitoringData) {
     };
   }
   
+  // Daily message counts show the actual volume, including spikes and recent go-lives
+  const series = monitoringData.messageSeries ? summarizeDailySeries(monitoringData.messageSeries.daily) : null;
+  if (series) {
+    return {
+      estimatedDailyMessages: Math.round(series.dailyAverage),
+      estimatedMonthlyMessages: Math.round(series.estimatedMonthlyMessages),
+      confidence: 'high',
+      source: 'Daily message metrics',
+      p95DailyMessages: Math.round(series.p95DailyMessages),
+      peakDay: series.peakDay,
+      trend: series.trend,
+      activeDays: series.activeDays,
+      firstActiveDate: series.firstActiveDate,
+      monthlyEstimateMethod: series.monthlyEstimateMethod
+    };
+  }
+  
+  // A series without a single message is a measured zero, not a missing measurement
+  if (monitoringData.messageSeries) {
+    return {
+      estimatedDailyMessages: 0,
+      estimatedMonthlyMessages: 0,
+      confidence: 'high',
+      source: 'Daily message metrics',
+      activeDays: 0
+    };
+  }
+  
   let estimatedDailyMessages = 0;
+  let measured = false;
   let confidence = 'none';
   let source = 'No message data available';
   
@@ -788,35 +1795,33 @@ function estimateMessageVolume(monitoringData) {
     if (flowsWithData > 0) {
       // Calculate average daily messages over the analysis period
       estimatedDailyMessages = totalMessages / monitoringData.period.days;
+      measured = true;
       confidence = 'high';
       source = 'Flow-level message metrics';
     }
   }
   
   // If no flow metrics, try application-level message count
-  if (estimatedDailyMessages === 0 && monitoringData.messageData) {
+  if (!measured && monitoringData.messageData) {
     const messageData = monitoringData.messageData;
     
     if (messageData.messageCount && typeof messageData.messageCount.count === 'number') {
       estimatedDailyMessages = messageData.messageCount.count / monitoringData.period.days;
+      measured = true;
       confidence = 'medium';
       source = 'Application-level message metrics';
     }
   }
   
-  // If still no message data, make a rough estimate based on resource usage if available
-  if (estimatedDailyMessages === 0 && monitoringData.resourceData) {
-    const resourceData = monitoringData.resourceData;
-    
-    if (resourceData.cpu && typeof resourceData.cpu.average === 'number') {
-      // Simple heuristic: estimate daily messages based on average CPU usage
-      // Higher CPU usage might indicate more message processing
-      // This is a rough approximation for demonstration purposes
-      const avgCpuPercent = resourceData.cpu.average;
-      estimatedDailyMessages = avgCpuPercent * 100; // low volume wild guess
-      confidence = 'low';
-      source = 'CPU usage heuristic';
-    }
+  // With only resource metrics the volume is unknown until calibrateMessageEstimates
+  // can estimate it from applications that report both
+  if (!measured && cpuAverage(monitoringData) !== null) {
+    return {
+      estimatedDailyMessages: null,
+      estimatedMonthlyMessages: null,
+      confidence: 'unknown',
+      source: CPU_ONLY_SOURCE
+    };
   }
   
   // Calculate monthly estimate (average daily × 30)
@@ -830,6 +1835,144 @@ function estimateMessageVolume(monitoringData) {
   };
 }
 
+/**
+ * Replace low-confidence flow estimates with what analyzed applications of the same run show
+ *
+ * Applications whose flows were counted from their Mule XML are grouped by name
+ * prefix, and applications estimated from rules or JAR size take the average of
+ * their prefix when enough applications share it.
+ */
+function calibrateFlowEstimates(inventory) {
+  if (!CONFIG.calibrateFlows) {
+    return;
+  }
+  
+  const samples = [];
+  const targets = [];
+  
+  inventory.businessGroups.forEach(group => {
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        if (app.flowAnalysis?.confidence === 'high') {
+          samples.push({ name: app.domain, flows: app.flowAnalysis.estimatedFlows });
+        } else if (app.flowAnalysis?.confidence === 'low') {
+          targets.push(app);
+        }
+      });
+    });
+  });
+  
+  const prefixes = calibrateFlowPrefixes(samples, CONFIG.flowRules);
+  const calibrated = targets.filter(app => prefixes.has(namePrefix(app.domain, CONFIG.flowRules)));
+  
+  inventory.flowCalibration = {
+    rules: CONFIG.flowRules.source,
+    prefixPattern: CONFIG.flowRules.calibration.prefixPattern,
+    minApplications: CONFIG.flowRules.calibration.minApplications,
+    analyzedApplications: samples.length,
+    prefixes: Array.from(prefixes.entries()).map(([prefix, stats]) => ({ prefix, ...stats })),
+    estimatedApplications: calibrated.length
+  };
+  
+  console.log(`Calibrated flow estimates for ${calibrated.length} of ${targets.length} estimated applications from ${prefixes.size} name prefixes`);
+  calibrated.forEach(app => {
+    const prefix = namePrefix(app.domain, CONFIG.flowRules);
+    const { applications, averageFlows } = prefixes.get(prefix);
+    app.flowAnalysis = {
+      ...app.flowAnalysis,
+      estimatedFlows: averageFlows,
+      confidence: 'medium',
+      source: `Calibrated from ${applications} analyzed applications with prefix "${prefix}"`,
+      uncalibrated: {
+        estimatedFlows: app.flowAnalysis.estimatedFlows,
+        source: app.flowAnalysis.source
+      }
+    };
+  });
+}
+
+/**
+ * Estimate message volume for applications with only CPU metrics
+ *
+ * The estimator is calibrated on the applications of the same run that report
+ * both CPU and real message counts. Without enough of them the volume of the
+ * CPU-only applications stays unknown rather than guessed.
+ */
+function calibrateMessageEstimates(inventory) {
+  const samples = [];
+  const targets = [];
+  
+  inventory.businessGroups.forEach(group => {
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        const features = messageFeatures(app);
+        if (!app.messageAnalysis || features.cpu === null) {
+          return;
+        }
+        
+        if (['high', 'medium'].includes(app.messageAnalysis.confidence)) {
+          samples.push({ features, dailyMessages: app.messageAnalysis.estimatedDailyMessages });
+        } else if (app.messageAnalysis.confidence === 'unknown' || app.messageAnalysis.source === CALIBRATED_SOURCE) {
+          targets.push({ app, features });
+        }
+      });
+    });
+  });
+  
+  const estimator = calibrateMessageEstimator(samples);
+  
+  inventory.messageCalibration = {
+    calibrated: estimator.calibrated,
+    reason: estimator.reason || null,
+    applications: estimator.applications,
+    predictors: estimator.predictors || [],
+    rSquared: estimator.rSquared ?? null,
+    residualStdDev: estimator.residualStdDev ?? null,
+    estimatedApplications: estimator.calibrated ? targets.length : 0
+  };
+  
+  if (targets.length === 0) {
+    return;
+  }
+  
+  if (!estimator.calibrated) {
+    console.log(`Message volume unknown for ${targets.length} applications with only CPU metrics: ${estimator.reason}`);
+    targets.forEach(({ app }) => {
+      app.messageAnalysis = {
+        estimatedDailyMessages: null,
+        estimatedMonthlyMessages: null,
+        confidence: 'unknown',
+        source: CPU_ONLY_SOURCE
+      };
+    });
+    return;
+  }
+  
+  console.log(`Estimating message volume for ${targets.length} applications from ${estimator.applications} calibration applications (R² ${estimator.rSquared.toFixed(2)})`);
+  targets.forEach(({ app, features }) => {
+    const estimate = estimator.estimate(features);
+    app.messageAnalysis = {
+      estimatedDailyMessages: Math.round(estimate.dailyMessages),
+      estimatedMonthlyMessages: Math.round(estimate.dailyMessages * 30),
+      confidence: 'low',
+      source: CALIBRATED_SOURCE,
+      errorBand: {
+        dailyLower: Math.round(estimate.lower),
+        dailyUpper: Math.round(estimate.upper),
+        monthlyLower: Math.round(estimate.lower * 30),
+        monthlyUpper: Math.round(estimate.upper * 30)
+      }
+    };
+  });
+}
+
+/**
+ * Format a message estimate for CSV reports, which may be unknown
+ */
+function formatMessageEstimate(value) {
+  return value === null ? 'unknown' : value || 0;
+}
+
 function ensureDirectoryExists(dirPath) {
   if (!fs.existsSync(dirPath)) {
     fs.mkdirSync(dirPath, { recursive: true });
@@ -841,6 +1984,109 @@ function saveToJsonFile(filePath, data) {
   console.log(`Saved data to ${filePath}`);
 }
 
+// Default columns of the CSV_COLUMN_REPORTS
+const APPLICATION_COLUMNS = [
+  { header: 'Business Group', value: ({ group }) => group.name },
+  { header: 'Environment', value: ({ env }) => env.name },
+  { header: 'Is Production', value: ({ env }) => (env.isProduction ? 'Yes' : 'No') },
+  { header: 'Application', value: ({ app }) => app.domain },
+  { header: 'Status', value: ({ app }) => app.status || 'Unknown' },
+  { header: 'Mule Version', value: ({ app }) => app.muleVersion || 'Unknown' },
+  { header: 'Worker Type', value: ({ app }) => app.workerType || 'Unknown' },
+  { header: 'Workers', value: ({ app }) => app.numberOfWorkers || 0 },
+  { header: 'Estimated Flows', value: ({ app }) => app.flowAnalysis?.estimatedFlows || 0 },
+  { header: 'Confidence', value: ({ app }) => app.flowAnalysis?.confidence || 'none' },
+  { header: 'Est. Daily Messages', value: ({ app }) => formatMessageEstimate(app.messageAnalysis?.estimatedDailyMessages) },
+  { header: 'Est. Monthly Messages', value: ({ app }) => formatMessageEstimate(app.messageAnalysis?.estimatedMonthlyMessages) },
+  { header: 'Message Confidence', value: ({ app }) => app.messageAnalysis?.confidence || 'none' },
+  { header: 'Last Updated', value: ({ app }) => (app.lastUpdateTime ? new Date(app.lastUpdateTime).toISOString().split('T')[0] : 'N/A') },
+  { header: 'P95 Daily Messages', value: ({ app }) => app.messageAnalysis?.p95DailyMessages ?? null },
+  { header: 'Peak Day', value: ({ app }) => app.messageAnalysis?.peakDay?.date || null },
+  { header: 'Peak Day Messages', value: ({ app }) => app.messageAnalysis?.peakDay?.count ?? null },
+  { header: 'Message Trend', value: ({ app }) => app.messageAnalysis?.trend?.direction || null },
+  { header: 'Est. Monthly Messages Lower', value: ({ app }) => app.messageAnalysis?.errorBand?.monthlyLower ?? null },
+  { header: 'Est. Monthly Messages Upper', value: ({ app }) => app.messageAnalysis?.errorBand?.monthlyUpper ?? null }
+];
+
+const FLOW_COLUMNS = [
+  { header: 'Business Group', value: ({ group }) => group.name },
+  { header: 'Environment', value: ({ env }) => env.name },
+  { header: 'Is Production', value: ({ env }) => (env.isProduction ? 'Yes' : 'No') },
+  { header: 'Application', value: ({ app }) => app.domain },
+  { header: 'Flow', value: ({ flow }) => flow.name },
+  { header: 'Config File', value: ({ flow }) => flow.file || null },
+  { header: 'Trigger Type', value: ({ flow }) => flow.triggerType },
+  { header: 'Billable', value: ({ flow }) => (flow.billable === null ? 'Unknown' : flow.billable ? 'Yes' : 'No') },
+  { header: 'Initial State', value: ({ flow }) => flow.initialState || null },
+  { header: 'Messages In Period', value: ({ flow }) => flow.messages ?? 'unknown' },
+  { header: 'Never Invoked In Period', value: ({ flow }) => (flow.neverInvoked === null ? 'Unknown' : flow.neverInvoked ? 'Yes' : 'No') },
+  { header: 'Source', value: ({ flow }) => flow.source }
+];
+
+const BUSINESS_GROUP_COLUMNS = [
+  { header: 'Business Group', value: ({ group }) => group.name },
+  { header: 'Business Group ID', value: ({ group }) => group.id },
+  { header: 'Total Applications', value: ({ totals }) => totals.totalApps },
+  { header: 'Production Apps', value: ({ totals }) => totals.productionApps },
+  { header: 'Sandbox Apps', value: ({ totals }) => totals.sandboxApps },
+  { header: 'Estimated Total Flows', value: ({ totals }) => totals.totalFlows },
+  { header: 'Est. Monthly Messages', value: ({ totals }) => totals.totalMonthlyMessages }
+];
+
+/**
+ * Build a table from a report's default columns, or the columns configured for it
+ *
+ * @param {string} report one of CSV_COLUMN_REPORTS
+ * @param {Function} recordOf picks the object that configured field paths are looked up in
+ */
+function reportTable(report, defaults, recordOf, contexts) {
+  return buildTable(selectColumns(defaults, CONFIG.csvColumns[report], recordOf), contexts);
+}
+
+/**
+ * A row with a label in the first column and a value in the second, padded to the table width
+ */
+function labelRow(headers, label, value) {
+  return [label, value, ...new Array(Math.max(0, headers.length - 2)).fill(null)];
+}
+
+/**
+ * Append the filters of the run to a report table, so a partial run is not mistaken for the whole organization
+ */
+function withFilterRows(table, inventory) {
+  describeFilters(inventory.filters).forEach(([label, value]) => {
+    table.rows.push(labelRow(table.headers, `Filter: ${label}`, value));
+  });
+  
+  return table;
+}
+
+/**
+ * Write a report table as CSV with the configured delimiter and byte order mark
+ */
+function writeCsvReport(filePath, table) {
+  fs.writeFileSync(filePath, formatCsv(table.headers, table.rows, { delimiter: CONFIG.csvDelimiter, bom: CONFIG.csvBom }));
+}
+
+/**
+ * Rows of the application report, for every business group or only the given one
+ */
+function applicationReportTable(inventory, onlyGroup = null) {
+  const contexts = [];
+  
+  inventory.businessGroups
+    .filter(group => !onlyGroup || group === onlyGroup)
+    .forEach(group => {
+      group.environments.forEach(env => {
+        env.applications.forEach(app => {
+          contexts.push({ group, env, app });
+        });
+      });
+    });
+  
+  return reportTable('application', APPLICATION_COLUMNS, ({ app }) => app, contexts);
+}
+
 /**
  * Generate a CSV file with flow and message usage by application
  */
@@ -851,106 +2097,336 @@ function generateApplicationCsvReport(inventory) {
   
   const csvFilePath = path.join(CONFIG.outputDir, 'billable-consumption-by-application.csv');
   
-  // CSV header
-  let csvContent = 'Business Group,Environment,Is Production,Application,Status,Mule Version,Worker Type,Workers,Estimated Flows,Confidence,Est. Daily Messages,Est. Monthly Messages,Message Confidence,Last Updated\n';
+  writeCsvReport(csvFilePath, withFilterRows(applicationReportTable(inventory), inventory));
+}
+
+/**
+ * Rows of the flow report, joining the flows parsed from each application's JAR
+ * with its per-flow message metrics
+ */
+function flowReportTable(inventory) {
+  const contexts = [];
   
-  // Process each business group
   inventory.businessGroups.forEach(group => {
     group.environments.forEach(env => {
-      const isProduction = env.isProduction ? 'Yes' : 'No';
-      
       env.applications.forEach(app => {
-        const lastUpdateDate = app.lastUpdateTime ? new Date(app.lastUpdateTime).toISOString().split('T')[0] : 'N/A';
-        
-        const row = [
-          `"${group.name}"`,
-          `"${env.name}"`,
-          isProduction,
-          `"${app.domain}"`,
-          `"${app.status || 'Unknown'}"`,
-          `"${app.muleVersion || 'Unknown'}"`,
-          `"${app.workerType || 'Unknown'}"`,
-          app.numberOfWorkers || 0,
-          app.flowAnalysis?.estimatedFlows || 0,
-          `"${app.flowAnalysis?.confidence || 'none'}"`,
-          app.messageAnalysis?.estimatedDailyMessages || 0,
-          app.messageAnalysis?.estimatedMonthlyMessages || 0,
-          `"${app.messageAnalysis?.confidence || 'none'}"`,
-          `"${lastUpdateDate}"`
-        ].join(',');
-        
-        csvContent += row + '\n';
+        buildFlowInventory(app).forEach(flow => {
+          contexts.push({ group, env, app, flow });
+        });
       });
     });
   });
   
-  fs.writeFileSync(csvFilePath, csvContent);
+  return reportTable('flow', FLOW_COLUMNS, ({ flow }) => flow, contexts);
 }
 
 /**
- * Generate a CSV file with summary by business group
+ * Generate a CSV file with one row per flow
  */
-function generateBusinessGroupCsvReport(inventory) {
+function generateFlowCsvReport(inventory) {
   if (!CONFIG.exportCsv) {
     return;
   }
   
-  const csvFilePath = path.join(CONFIG.outputDir, 'billable-consumption-by-business-group.csv');
+  const csvFilePath = path.join(CONFIG.outputDir, 'billable-flows-by-flow.csv');
   
-  // CSV header
-  let csvContent = 'Business Group,Business Group ID,Total Applications,Production Apps,Sandbox Apps,Estimated Total Flows,Est. Monthly Messages\n';
+  writeCsvReport(csvFilePath, withFilterRows(flowReportTable(inventory), inventory));
+}
+
+/**
+ * Rows of the business group report
+ */
+function businessGroupReportTable(inventory) {
+  const contexts = inventory.businessGroups.map(group => ({ group, totals: summarizeBusinessGroup(group) }));
   
-  // Process each business group
-  inventory.businessGroups.forEach(group => {
-    let totalApps = 0;
-    let totalFlows = 0;
-    let totalMonthlyMessages = 0;
-    let productionApps = 0;
-    let sandboxApps = 0;
-    
-    group.environments.forEach(env => {
-      const apps = env.applications.length;
-      totalApps += apps;
-      
-      if (env.isProduction) {
-        productionApps += apps;
-      } else {
-        sandboxApps += apps;
+  return reportTable('businessGroup', BUSINESS_GROUP_COLUMNS, ({ group }) => group, contexts);
+}
+
+/**
+ * Generate a CSV file with summary by business group
+ */
+function generateBusinessGroupCsvReport(inventory) {
+  if (!CONFIG.exportCsv) {
+    return;
+  }
+  
+  const csvFilePath = path.join(CONFIG.outputDir, 'billable-consumption-by-business-group.csv');
+  
+  writeCsvReport(csvFilePath, withFilterRows(businessGroupReportTable(inventory), inventory));
+}
+
+/**
+ * Total the applications, flows and messages of a business group
+ */
+function summarizeBusinessGroup(group) {
+  const totals = {
+    totalApps: 0,
+    productionApps: 0,
+    sandboxApps: 0,
+    totalFlows: 0,
+    totalMonthlyMessages: 0
+  };
+  
+  group.environments.forEach(env => {
+    const apps = env.applications.length;
+    totals.totalApps += apps;
+    
+    if (env.isProduction) {
+      totals.productionApps += apps;
+    } else {
+      totals.sandboxApps += apps;
+    }
+    
+    // Sum up flow and message estimates
+    env.applications.forEach(app => {
+      totals.totalFlows += app.flowAnalysis?.estimatedFlows || 0;
+      totals.totalMonthlyMessages += app.messageAnalysis?.estimatedMonthlyMessages || 0;
+    });
+  });
+  
+  return totals;
+}
+
+/**
+ * Extract the organization and business group totals compared against entitlements
+ */
+function entitlementUsage(inventory) {
+  return {
+    timestamp: inventory.timestamp,
+    organization: {
+      flows: inventory.summary.totalEstimatedFlows,
+      monthlyMessages: inventory.summary.totalEstimatedMonthlyMessages
+    },
+    businessGroups: inventory.businessGroups.map(group => {
+      const totals = summarizeBusinessGroup(group);
+      return {
+        id: group.id,
+        name: group.name,
+        flows: totals.totalFlows,
+        monthlyMessages: totals.totalMonthlyMessages
+      };
+    })
+  };
+}
+
+/**
+ * Compare an inventory against its entitlements, using archived snapshots of the same organization for growth
+ */
+function evaluateEntitlements(inventory) {
+  const history = loadInventoryHistory(inventory).map(entitlementUsage);
+  
+  return compareEntitlements(entitlementUsage(inventory), inventory.entitlements, history);
+}
+
+/**
+ * Generate a CSV file projecting monthly messages and billable flows
+ */
+function generateForecastCsvReport(inventory) {
+  if (!CONFIG.exportCsv) {
+    return;
+  }
+  
+  const csvFilePath = path.join(CONFIG.outputDir, 'consumption-forecast.csv');
+  const forecast = forecastInventory(inventory, loadInventoryHistory(inventory), Math.max(1, Math.floor(CONFIG.forecastMonths)));
+  
+  const headers = ['Scope', 'Business Group', 'Environment', 'Application', 'Month', 'Forecast Monthly Messages', 'Messages Lower (95%)', 'Messages Upper (95%)', 'Forecast Flows', 'Flows Lower (95%)', 'Flows Upper (95%)', 'Message Model', 'Flow Model'];
+  
+  const rows = forecast.map(row => [
+    row.scope,
+    row.businessGroup,
+    row.environment,
+    row.application,
+    row.month,
+    formatMessageEstimate(row.messages),
+    row.messagesLower,
+    row.messagesUpper,
+    row.flows,
+    row.flowsLower,
+    row.flowsUpper,
+    row.messageModel,
+    row.flowModel
+  ]);
+  
+  writeCsvReport(csvFilePath, withFilterRows({ headers, rows }, inventory));
+}
+
+/**
+ * Generate a CSV file comparing usage with purchased entitlements
+ */
+function generateEntitlementCsvReport(inventory) {
+  if (!CONFIG.exportCsv) {
+    return;
+  }
+  
+  const csvFilePath = path.join(CONFIG.outputDir, 'entitlement-utilization.csv');
+  
+  const headers = ['Scope', 'Metric', 'Entitled', 'Used', 'Utilization %', 'Headroom', 'Growth per Month', 'Projected Exceed Date'];
+  
+  const rows = inventory.entitlementUtilization.map(row => [
+    row.scope,
+    row.metric,
+    row.entitled,
+    row.used,
+    row.utilization === null ? null : row.utilization.toFixed(1),
+    row.headroom,
+    row.growthPerMonth === null ? null : Math.round(row.growthPerMonth),
+    row.exceedDate || null
+  ]);
+  
+  rows.push(labelRow(headers, 'Entitlement Source', inventory.entitlements.source));
+  
+  writeCsvReport(csvFilePath, withFilterRows({ headers, rows }, inventory));
+}
+
+/**
+ * Format an amount of money for CSV reports
+ */
+function formatCost(value) {
+  return value.toFixed(2);
+}
+
+/**
+ * Generate CSV files allocating the subscription cost to applications and business groups
+ */
+function generateChargebackCsvReports(inventory) {
+  if (!CONFIG.exportCsv) {
+    return;
+  }
+  
+  const costModel = inventory.costModel;
+  const allocation = allocateCosts(inventory, costModel);
+  
+  // Per-application costs
+  const applicationHeaders = ['Business Group', 'Cost Center', 'Environment', 'Is Production', 'Application', 'Estimated Flows', 'Est. Annual Messages', 'vCores', 'Flow Cost', 'Message Cost', 'vCore Cost', 'Adjustment', 'Total Cost'];
+  
+  const applicationRows = allocation.applications.map(app => [
+    app.businessGroup,
+    app.costCenter,
+    app.environment,
+    app.isProduction ? 'Yes' : 'No',
+    app.domain,
+    app.flows,
+    app.annualMessages,
+    app.vCores,
+    formatCost(app.flowCost),
+    formatCost(app.messageCost),
+    formatCost(app.vCoreCost),
+    formatCost(app.adjustment),
+    formatCost(app.total)
+  ]);
+  
+  writeCsvReport(path.join(CONFIG.outputDir, 'chargeback-by-application.csv'), { headers: applicationHeaders, rows: applicationRows });
+  
+  // Production and sandbox lines per business group, then the reconciliation to the contract
+  const headers = ['Business Group', 'Business Group ID', 'Cost Center', 'Line', 'Applications', 'Estimated Flows', 'Est. Annual Messages', 'vCores', `Cost (${costModel.currency})`];
+  const rows = [];
+  
+  allocation.businessGroups.forEach(group => {
+    [['Production', group.production], ['Sandbox', group.sandbox]].forEach(([label, line]) => {
+      if (line.applications === 0) {
+        return;
       }
       
-      // Sum up flow and message estimates
-      env.applications.forEach(app => {
-        totalFlows += app.flowAnalysis?.estimatedFlows || 0;
-        totalMonthlyMessages += app.messageAnalysis?.estimatedMonthlyMessages || 0;
-      });
+      rows.push([
+        group.businessGroup,
+        group.businessGroupId,
+        group.costCenter,
+        label,
+        line.applications,
+        line.flows,
+        line.annualMessages,
+        Number(line.vCores.toFixed(2)),
+        formatCost(line.total)
+      ]);
     });
-    
-    const row = [
-      `"${group.name}"`,
-      `"${group.id}"`,
-      totalApps,
-      productionApps,
-      sandboxApps,
-      totalFlows,
-      totalMonthlyMessages
-    ].join(',');
-    
-    csvContent += row + '\n';
   });
   
-  fs.writeFileSync(csvFilePath, csvContent);
+  const totalRow = (label, value) => [label, null, null, null, null, null, null, null, formatCost(value)];
+  rows.push(totalRow('Allocated Total', allocation.allocatedTotal));
+  if (costModel.contractValue !== null) {
+    rows.push(totalRow('Unallocated', allocation.unallocated));
+    rows.push(totalRow('Contract Value', allocation.total));
+  }
+  
+  // Record what the allocation covers so a partial run is not billed as the whole organization
+  rows.push(labelRow(headers, 'Cost Model', costModel.source));
+  withFilterRows({ headers, rows }, inventory);
+  if (inventory.summary.failedApiCalls > 0) {
+    rows.push(labelRow(headers, 'Failed API Calls', inventory.summary.failedApiCalls));
+  }
+  
+  writeCsvReport(path.join(CONFIG.outputDir, 'chargeback-by-business-group.csv'), { headers, rows });
 }
 
 /**
- * Generate a CSV file with organization-level summary 
+ * Generate a CSV file of the ways to lower billable flows, messages and vCores
  */
-function generateOrganizationSummaryReport(inventory) {
+function generateRecommendationsCsvReport(inventory) {
   if (!CONFIG.exportCsv) {
     return;
   }
   
-  const csvFilePath = path.join(CONFIG.outputDir, 'organization-consumption-summary.csv');
+  const csvFilePath = path.join(CONFIG.outputDir, 'recommendations.csv');
+  const currency = inventory.costModel ? inventory.costModel.currency : null;
   
+  const headers = ['Category', 'Business Group', 'Environment', 'Is Production', 'Application', 'Finding', 'Action', 'Flows Saved', 'Monthly Messages Saved', 'vCores Saved',
+    ...(currency ? [`Est. Annual Saving (${currency})`] : [])];
+  
+  const row = (finding, savings) => [
+    finding.category,
+    finding.businessGroup,
+    finding.environment,
+    finding.isProduction === null ? null : finding.isProduction ? 'Yes' : 'No',
+    finding.application,
+    finding.finding,
+    finding.action,
+    savings.flows,
+    savings.monthlyMessages,
+    savings.vCores,
+    ...(currency ? [formatCost(savings.annualCost)] : [])
+  ];
+  
+  const rows = inventory.recommendations.map(finding => row(finding, finding.savings));
+  
+  // Findings don't overlap, so their savings add up
+  rows.push(row({
+    category: 'Total',
+    businessGroup: '',
+    environment: '',
+    isProduction: null,
+    application: '',
+    finding: `${inventory.recommendations.length} findings`,
+    action: ''
+  }, totalSavings(inventory.recommendations)));
+  
+  withFilterRows({ headers, rows }, inventory);
+  if (inventory.summary.failedApiCalls > 0) {
+    rows.push(labelRow(headers, 'Failed API Calls', inventory.summary.failedApiCalls));
+  }
+  
+  writeCsvReport(csvFilePath, { headers, rows });
+}
+
+/**
+ * Generate a single self-contained HTML dashboard of the inventory
+ */
+function generateHtmlReport(inventory) {
+  if (!CONFIG.exportHtml) {
+    return;
+  }
+  
+  const htmlFilePath = path.join(CONFIG.outputDir, 'consumption-dashboard.html');
+  
+  fs.writeFileSync(htmlFilePath, renderHtmlReport(inventory, {
+    filters: describeFilters(inventory.filters),
+    top: Math.max(1, Math.floor(CONFIG.topN))
+  }));
+}
+
+/**
+ * Rows of the organization-wide summary report
+ */
+function organizationSummaryTable(inventory) {
   // Collect organization-wide totals
   let totalApps = 0;
   let productionApps = 0;
@@ -961,6 +2437,9 @@ function generateOrganizationSummaryReport(inventory) {
   let totalMonthlyMessages = 0;
   let productionMonthlyMessages = 0;
   let sandboxMonthlyMessages = 0;
+  let idleFlows = 0;
+  let productionIdleFlows = 0;
+  let sandboxIdleFlows = 0;
   
   inventory.businessGroups.forEach(group => {
     group.environments.forEach(env => {
@@ -979,60 +2458,678 @@ function generateOrganizationSummaryReport(inventory) {
       env.applications.forEach(app => {
         const flows = app.flowAnalysis?.estimatedFlows || 0;
         const messages = app.messageAnalysis?.estimatedMonthlyMessages || 0;
+        const idle = buildFlowInventory(app).filter(flow => flow.billable && flow.neverInvoked).length;
         
         totalFlows += flows;
         totalMonthlyMessages += messages;
+        idleFlows += idle;
         
         if (isProduction) {
           productionFlows += flows;
           productionMonthlyMessages += messages;
+          productionIdleFlows += idle;
         } else {
           sandboxFlows += flows;
           sandboxMonthlyMessages += messages;
+          sandboxIdleFlows += idle;
         }
       });
     });
   });
   
-  // CSV header
-  let csvContent = 'Metric,Total,Production,Sandbox\n';
+  const headers = ['Metric', 'Total', 'Production', 'Sandbox'];
   
   // Add rows for each metric
-  csvContent += `Applications,${totalApps},${productionApps},${sandboxApps}\n`;
-  csvContent += `Estimated Flows,${totalFlows},${productionFlows},${sandboxFlows}\n`;
-  csvContent += `Est. Monthly Messages,${totalMonthlyMessages},${productionMonthlyMessages},${sandboxMonthlyMessages}\n`;
+  const rows = [
+    ['Applications', totalApps, productionApps, sandboxApps],
+    ['Estimated Flows', totalFlows, productionFlows, sandboxFlows],
+    ['Est. Monthly Messages', totalMonthlyMessages, productionMonthlyMessages, sandboxMonthlyMessages],
+    ['Billable Flows Never Invoked In Period', idleFlows, productionIdleFlows, sandboxIdleFlows]
+  ];
+  
+  // Failed API calls mean some of the totals above may be understated
+  if (inventory.summary.failedApiCalls > 0) {
+    rows.push(['Failed API Calls', inventory.summary.failedApiCalls, null, null]);
+    rows.push(['Applications With Failed API Calls', inventory.summary.applicationsWithFailedApiCalls, null, null]);
+  }
+  
+  // Applications with unknown volume are not in the message totals
+  if (inventory.summary.applicationsWithUnknownMessages > 0) {
+    rows.push(['Applications With Unknown Message Volume', inventory.summary.applicationsWithUnknownMessages, null, null]);
+  }
+  if (inventory.messageCalibration?.estimatedApplications > 0) {
+    rows.push(['Applications With Calibrated CPU Estimates', inventory.messageCalibration.estimatedApplications, null, null]);
+  }
+  if (inventory.flowCalibration?.estimatedApplications > 0) {
+    rows.push(['Applications With Calibrated Flow Estimates', inventory.flowCalibration.estimatedApplications, null, null]);
+  }
   
-  fs.writeFileSync(csvFilePath, csvContent);
+  // Record the filters so a partial run is not mistaken for the whole organization
+  describeFilters(inventory.filters).forEach(([label, value]) => {
+    rows.push([`Filter: ${label}`, value, null, null]);
+  });
+  
+  return { headers, rows };
 }
 
 /**
- * Main function to analyze billable consumption
+ * Generate an Excel workbook with the application, business group and organization
+ * reports, followed by a sheet of applications for each business group
  */
-async function analyzeBillableConsumption() {
+function generateXlsxReport(inventory) {
+  if (!CONFIG.exportXlsx) {
+    return;
+  }
+  
+  const xlsxFilePath = path.join(CONFIG.outputDir, 'billable-consumption.xlsx');
+  
+  const sheets = [
+    { name: 'Applications', ...applicationReportTable(inventory) },
+    { name: 'Business Groups', ...businessGroupReportTable(inventory) },
+    { name: 'Organization Summary', ...organizationSummaryTable(inventory) },
+    ...inventory.businessGroups.map(group => ({ name: group.name, ...applicationReportTable(inventory, group) }))
+  ];
+  
+  fs.writeFileSync(xlsxFilePath, createWorkbook(sheets));
+}
+
+/**
+ * Generate a CSV file with organization-level summary 
+ */
+function generateOrganizationSummaryReport(inventory) {
+  if (!CONFIG.exportCsv) {
+    return;
+  }
+  
+  const csvFilePath = path.join(CONFIG.outputDir, 'organization-consumption-summary.csv');
+  
+  writeCsvReport(csvFilePath, organizationSummaryTable(inventory));
+}
+
+/**
+ * Save the analysis of a single application to its business group and environment directory
+ *
+ * The same application name can be deployed in several environments, so each gets its own file.
+ */
+function saveApplicationData(group, env, appData) {
+  const directory = path.join(CONFIG.outputDir, group.id, env.id);
+  const filePath = path.join(directory, `${appData.domain}.json`);
+  
+  ensureDirectoryExists(directory);
+  saveToJsonFile(
+    filePath,
+    {
+      businessGroup: { id: group.id, name: group.name },
+      environment: env,
+      application: appData
+    }
+  );
+  
+  return filePath;
+}
+
+/**
+ * Load an application analyzed by an earlier, interrupted run
+ */
+function loadCheckpointedApplication(entry) {
+  try {
+    return JSON.parse(fs.readFileSync(entry.file, 'utf8')).application;
+  } catch (error) {
+    console.log(`Unable to reuse ${entry.file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Generate the reports selected by the configured output formats
+ */
+function generateReports(inventory) {
+  if (CONFIG.exportCsv) {
+    console.log('Generating CSV reports...');
+    generateApplicationCsvReport(inventory);
+    generateFlowCsvReport(inventory);
+    generateBusinessGroupCsvReport(inventory);
+    generateOrganizationSummaryReport(inventory);
+    generateForecastCsvReport(inventory);
+    generateRecommendationsCsvReport(inventory);
+    if (inventory.entitlementUtilization) {
+      generateEntitlementCsvReport(inventory);
+    }
+    if (inventory.costModel) {
+      generateChargebackCsvReports(inventory);
+    }
+  }
+  
+  if (CONFIG.exportHtml) {
+    console.log('Generating HTML report...');
+    generateHtmlReport(inventory);
+  }
+  
+  if (CONFIG.exportXlsx) {
+    console.log('Generating Excel report...');
+    generateXlsxReport(inventory);
+  }
+}
+
+/**
+ * Print the inventory totals and the location of the generated reports
+ */
+function printSummary(inventory) {
+  console.log('\nSummary:');
+  console.log(`Total Applications: ${inventory.summary.totalApplications}`);
+  console.log(`Total Estimated Flows: ${inventory.summary.totalEstimatedFlows}`);
+  console.log(`Total Estimated Monthly Messages: ${inventory.summary.totalEstimatedMonthlyMessages.toLocaleString()}`);
+  console.log(`Business Groups: ${inventory.businessGroups.length}`);
+  describeFilters(inventory.filters).forEach(([label, value]) => {
+    console.log(`Filter - ${label}: ${value}`);
+  });
+  if (inventory.summary.failedApiCalls > 0) {
+    console.log(`Warning: ${inventory.summary.failedApiCalls} API calls failed after retries, affecting ${inventory.summary.applicationsWithFailedApiCalls} applications.`);
+    console.log('Totals may be understated; see apiFailures in complete-billable-consumption.json.');
+  }
+  if (inventory.summary.applicationsWithUnknownMessages > 0) {
+    console.log(`Warning: message volume is unknown for ${inventory.summary.applicationsWithUnknownMessages} applications and not included in the message totals.`);
+  }
+  if (inventory.recommendations.length > 0) {
+    const savings = totalSavings(inventory.recommendations);
+    const cost = savings.annualCost === null ? '' : `, ${formatCost(savings.annualCost)} ${inventory.costModel.currency} a year`;
+    console.log(`Recommendations: ${inventory.recommendations.length}, saving an estimated ${savings.flows} flows, ${savings.monthlyMessages.toLocaleString()} monthly messages and ${savings.vCores} vCores${cost}`);
+  }
+  if (inventory.entitlementUtilization) {
+    inventory.entitlementUtilization
+      .filter(row => row.scope === 'Organization')
+      .forEach(row => {
+        const utilization = row.utilization === null ? 'n/a' : `${row.utilization.toFixed(1)}%`;
+        const exceed = row.exceedDate ? `, projected to exceed: ${row.exceedDate}` : '';
+        console.log(`Entitlement - ${row.metric}: ${row.used.toLocaleString()} of ${row.entitled.toLocaleString()} (${utilization})${exceed}`);
+      });
+  }
+  console.log(`Output Directory: ${path.resolve(CONFIG.outputDir)}`);
+  if (CONFIG.exportCsv) {
+    console.log('CSV Reports:');
+    console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'billable-consumption-by-application.csv'))}`);
+    console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'billable-flows-by-flow.csv'))}`);
+    console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'billable-consumption-by-business-group.csv'))}`);
+    console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'organization-consumption-summary.csv'))}`);
+    console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'consumption-forecast.csv'))}`);
+    console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'recommendations.csv'))}`);
+    if (inventory.entitlementUtilization) {
+      console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'entitlement-utilization.csv'))}`);
+    }
+    if (inventory.costModel) {
+      console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'chargeback-by-application.csv'))}`);
+      console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'chargeback-by-business-group.csv'))}`);
+    }
+  }
+  if (CONFIG.exportHtml) {
+    console.log(`HTML Report: ${path.resolve(path.join(CONFIG.outputDir, 'consumption-dashboard.html'))}`);
+  }
+  if (CONFIG.exportXlsx) {
+    console.log(`Excel Report: ${path.resolve(path.join(CONFIG.outputDir, 'billable-consumption.xlsx'))}`);
+  }
+}
+
+/**
+ * Save the complete inventory, generate the reports and print the summary
+ */
+function writeInventoryReports(inventory) {
+  if (inventory.entitlements) {
+    inventory.entitlementUtilization = evaluateEntitlements(inventory);
+  }
+  inventory.recommendations = recommendOptimizations(inventory, inventory.costModel || null);
+  
+  // Save complete inventory
+  saveToJsonFile(
+    path.join(CONFIG.outputDir, 'complete-billable-consumption.json'),
+    inventory
+  );
+  
+  if (CONFIG.archiveSnapshots) {
+    archiveInventory(inventory);
+  }
+  
+  generateReports(inventory);
+  
+  console.log('Billable consumption analysis completed successfully!');
+  
+  printSummary(inventory);
+}
+
+/**
+ * Copy an inventory to history/<timestamp>/ so that runs can be compared later
+ */
+function archiveInventory(inventory) {
+  const snapshotDir = path.join(CONFIG.outputDir, HISTORY_DIR, inventory.timestamp.replace(/[:.]/g, '-'));
+  
+  ensureDirectoryExists(snapshotDir);
+  const snapshotPath = path.join(snapshotDir, 'complete-billable-consumption.json');
+  saveToJsonFile(snapshotPath, inventory);
+  archivedSnapshots.set(snapshotPath, historySnapshot(inventory));
+}
+
+/**
+ * Keep only what forecasts and entitlement growth read from an archived inventory:
+ * totals, and each application's flow count, monthly messages and daily message series
+ */
+function historySnapshot(inventory) {
+  return {
+    timestamp: inventory.timestamp,
+    rootOrganization: inventory.rootOrganization,
+    filters: inventory.filters || null,
+    summary: inventory.summary,
+    businessGroups: inventory.businessGroups.map(group => ({
+      id: group.id,
+      name: group.name,
+      environments: group.environments.map(env => ({
+        id: env.id,
+        name: env.name,
+        isProduction: env.isProduction,
+        applications: env.applications.map(app => ({
+          domain: app.domain,
+          flowAnalysis: { estimatedFlows: app.flowAnalysis?.estimatedFlows || 0 },
+          messageAnalysis: { estimatedMonthlyMessages: app.messageAnalysis?.estimatedMonthlyMessages ?? null },
+          monitoringData: { messageSeries: app.monitoringData?.messageSeries || null }
+        }))
+      }))
+    }))
+  };
+}
+
+/**
+ * List the archived inventories, oldest first
+ */
+function listArchivedInventories() {
+  const historyDir = path.join(CONFIG.outputDir, HISTORY_DIR);
+  
+  if (!fs.existsSync(historyDir)) {
+    return [];
+  }
+  
+  // Directory names are ISO timestamps, so they sort chronologically
+  return fs.readdirSync(historyDir)
+    .sort()
+    .map(name => path.join(historyDir, name, 'complete-billable-consumption.json'))
+    .filter(inventoryPath => fs.existsSync(inventoryPath));
+}
+
+/**
+ * Load the archived inventories of the same organization as an inventory, oldest first,
+ * as reduced by historySnapshot
+ *
+ * Only snapshots taken with the same filters are returned, since a run limited to one
+ * business group followed by a full run would otherwise look like growth.
+ */
+function loadInventoryHistory(inventory) {
+  return listArchivedInventories()
+    .map(inventoryPath => {
+      if (!archivedSnapshots.has(inventoryPath)) {
+        try {
+          archivedSnapshots.set(inventoryPath, historySnapshot(loadInventory(inventoryPath)));
+        } catch (error) {
+          console.log(`Skipping archived inventory ${inventoryPath}: ${error.message}`);
+          archivedSnapshots.set(inventoryPath, null);
+        }
+      }
+      return archivedSnapshots.get(inventoryPath);
+    })
+    .filter(snapshot => snapshot && snapshot.rootOrganization?.id === inventory.rootOrganization?.id &&
+      sameFilters(snapshot.filters, inventory.filters));
+}
+
+function loadInventory(inventoryPath) {
+  if (!fs.existsSync(inventoryPath)) {
+    throw new Error(`Inventory file ${inventoryPath} does not exist`);
+  }
+  return JSON.parse(fs.readFileSync(inventoryPath, 'utf8'));
+}
+
+/**
+ * Regenerate reports from a saved inventory without contacting Anypoint Platform
+ */
+function regenerateReports(inventoryPath) {
+  try {
+    console.log(`Generating reports from ${inventoryPath}...`);
+    
+    ensureDirectoryExists(CONFIG.outputDir);
+    const inventory = loadInventory(inventoryPath);
+    if (CONFIG.entitlements) {
+      inventory.entitlements = CONFIG.entitlements;
+    }
+    if (CONFIG.costModel) {
+      inventory.costModel = CONFIG.costModel;
+    }
+    if (inventory.entitlements) {
+      inventory.entitlementUtilization = evaluateEntitlements(inventory);
+    }
+    inventory.recommendations = recommendOptimizations(inventory, inventory.costModel || null);
+    
+    generateReports(inventory);
+    printSummary(inventory);
+  } catch (error) {
+    console.error('Error generating reports:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Choose the inventories to compare, filling in missing paths from the archived snapshots
+ *
+ * With no paths the two latest snapshots are compared; with one path it is
+ * compared against the latest snapshot.
+ */
+function resolveDiffInventories(paths) {
+  if (paths.length === 2) {
+    return paths;
+  }
+  
+  const archived = listArchivedInventories();
+  const needed = 2 - paths.length;
+  if (archived.length < needed) {
+    throw new Error(`Found ${archived.length} archived snapshots in ${path.join(CONFIG.outputDir, HISTORY_DIR)}; pass the inventory files to compare`);
+  }
+  
+  return paths.length === 1
+    ? [paths[0], archived[archived.length - 1]]
+    : archived.slice(-2);
+}
+
+/**
+ * Generate CSV report of the application changes between two inventories
+ */
+function generateDiffCsvReport(diff) {
+  const csvFilePath = path.join(CONFIG.outputDir, 'consumption-diff.csv');
+  const headers = ['Business Group', 'Environment', 'Is Production', 'Application', 'Change', 'Artifact Before', 'Artifact After', 'Flows Before', 'Flows After', 'Flow Change', 'Flow Source Before', 'Flow Source After', 'Monthly Messages Before', 'Monthly Messages After', 'Message Change'];
+  
+  const rows = diff.applications
+    .filter(app => app.change !== 'unchanged')
+    .map(app => [
+      app.businessGroup,
+      app.environment,
+      app.isProduction ? 'Yes' : 'No',
+      app.domain,
+      app.change,
+      app.artifactBefore || null,
+      app.artifactAfter || null,
+      app.flowsBefore,
+      app.flowsAfter,
+      app.flowDelta,
+      app.flowSourceBefore || null,
+      app.flowSourceAfter || null,
+      formatMessageCount(app.messagesBefore),
+      formatMessageCount(app.messagesAfter),
+      formatMessageCount(app.messageDelta)
+    ]);
+  
+  writeCsvReport(csvFilePath, { headers, rows });
+  return csvFilePath;
+}
+
+/**
+ * Generate CSV report of the business group totals between two inventories
+ */
+function generateDiffBusinessGroupCsvReport(diff) {
+  const csvFilePath = path.join(CONFIG.outputDir, 'consumption-diff-by-business-group.csv');
+  const headers = ['Business Group', 'Business Group ID', 'Applications Before', 'Applications After', 'Added', 'Removed', 'Redeployed', 'Changed', 'Flows Before', 'Flows After', 'Flow Change', 'Monthly Messages Before', 'Monthly Messages After', 'Message Change'];
+  
+  const rows = diff.businessGroups.map(group => [
+    group.businessGroup,
+    group.businessGroupId,
+    group.applicationsBefore,
+    group.applicationsAfter,
+    group.added,
+    group.removed,
+    group.redeployed,
+    group.changed,
+    group.flowsBefore,
+    group.flowsAfter,
+    group.flowDelta,
+    group.messagesBefore,
+    group.messagesAfter,
+    group.messageDelta
+  ]);
+  
+  writeCsvReport(csvFilePath, { headers, rows });
+  return csvFilePath;
+}
+
+/**
+ * Format a change with an explicit sign for the Markdown report
+ */
+function formatDelta(value) {
+  if (value === null) {
+    return 'unknown';
+  }
+  return value > 0 ? `+${value.toLocaleString()}` : value.toLocaleString();
+}
+
+/**
+ * Monthly messages or a message change for the CSV report, where null means the volume is unknown
+ */
+function formatMessageCount(value) {
+  return value === null ? 'unknown' : value;
+}
+
+/**
+ * Monthly messages for the Markdown report
+ */
+function formatMessages(value) {
+  return value === null ? 'unknown' : value.toLocaleString();
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function markdownCell(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Generate a Markdown summary of the changes between two inventories
+ */
+function generateDiffMarkdownReport(diff) {
+  const markdownFilePath = path.join(CONFIG.outputDir, 'consumption-diff.md');
+  const lines = [
+    '# Consumption Changes',
+    '',
+    `From ${diff.from} to ${diff.to}.`,
+    ''
+  ];
+  
+  if (diff.filtersChanged) {
+    lines.push('> The snapshots were taken with different filters, so added and removed applications may reflect the filters rather than deployments.', '');
+  }
+  
+  lines.push(
+    '## Summary',
+    '',
+    '| Metric | Value |',
+    '|--------|-------|',
+    `| Applications added | ${diff.totals.added} |`,
+    `| Applications removed | ${diff.totals.removed} |`,
+    `| Applications redeployed | ${diff.totals.redeployed} |`,
+    `| Applications changed | ${diff.totals.changed} |`,
+    `| Estimated flow change | ${formatDelta(diff.totals.flowDelta)} |`,
+    `| Estimated monthly message change | ${formatDelta(diff.totals.messageDelta)} |`,
+    `| Applications with unknown message change | ${diff.totals.unknownMessageChanges} |`,
+    '',
+    '## Business Groups',
+    '',
+    '| Business Group | Applications | Added | Removed | Redeployed | Changed | Flows | Flow Change | Monthly Messages | Message Change |',
+    '|----------------|-------------:|------:|--------:|-----------:|--------:|------:|------------:|-----------------:|---------------:|'
+  );
+  
+  diff.businessGroups.forEach(group => {
+    lines.push(`| ${markdownCell(group.businessGroup)} | ${group.applicationsAfter} | ${group.added} | ${group.removed} | ${group.redeployed} | ${group.changed} | ${group.flowsAfter} | ${formatDelta(group.flowDelta)} | ${group.messagesAfter.toLocaleString()} | ${formatDelta(group.messageDelta)} |`);
+  });
+  
+  const changedApps = diff.applications.filter(app => app.change !== 'unchanged');
+  
+  lines.push('', '## Applications', '');
+  if (changedApps.length === 0) {
+    lines.push('No application changes.');
+  } else {
+    lines.push(
+      '| Business Group | Environment | Application | Change | Flows | Flow Change | Flow Source | Monthly Messages | Message Change |',
+      '|----------------|-------------|-------------|--------|------:|------------:|-------------|-----------------:|---------------:|'
+    );
+    changedApps.forEach(app => {
+      // Show both sources only when the way flows were counted changed
+      const flowSource = app.flowSourceBefore && app.flowSourceAfter && app.flowSourceBefore !== app.flowSourceAfter
+        ? `${app.flowSourceBefore} → ${app.flowSourceAfter}`
+        : app.flowSourceAfter || app.flowSourceBefore;
+      
+      lines.push(`| ${markdownCell(app.businessGroup)} | ${markdownCell(app.environment)} | ${markdownCell(app.domain)} | ${app.change} | ${app.flowsAfter} | ${formatDelta(app.flowDelta)} | ${markdownCell(flowSource)} | ${formatMessages(app.messagesAfter)} | ${formatDelta(app.messageDelta)} |`);
+    });
+  }
+  
+  fs.writeFileSync(markdownFilePath, lines.join('\n') + '\n');
+  return markdownFilePath;
+}
+
+/**
+ * Compare two saved inventories and write the differences as CSV and Markdown
+ */
+function compareInventories(paths) {
   try {
-    console.log('Starting Anypoint Platform billable consumption analysis...');
+    const [beforePath, afterPath] = resolveDiffInventories(paths);
+    console.log(`Comparing ${beforePath} with ${afterPath}...`);
     
-    // Create output directory
     ensureDirectoryExists(CONFIG.outputDir);
+    const diff = diffInventories(loadInventory(beforePath), loadInventory(afterPath));
+    
+    const reportPaths = [
+      generateDiffCsvReport(diff),
+      generateDiffBusinessGroupCsvReport(diff),
+      generateDiffMarkdownReport(diff)
+    ];
+    
+    if (diff.filtersChanged) {
+      console.log('Warning: the snapshots were taken with different filters, so added and removed applications may reflect the filters rather than deployments.');
+    }
+    
+    console.log(`\nChanges from ${diff.from} to ${diff.to}:`);
+    console.log(`Applications added: ${diff.totals.added}`);
+    console.log(`Applications removed: ${diff.totals.removed}`);
+    console.log(`Applications redeployed: ${diff.totals.redeployed}`);
+    console.log(`Applications changed: ${diff.totals.changed}`);
+    console.log(`Estimated flow change: ${diff.totals.flowDelta}`);
+    console.log(`Estimated monthly message change: ${diff.totals.messageDelta.toLocaleString()}`);
+    if (diff.totals.unknownMessageChanges > 0) {
+      console.log(`Applications with unknown message change: ${diff.totals.unknownMessageChanges} (not included in the message change)`);
+    }
+    console.log('Diff Reports:');
+    reportPaths.forEach(reportPath => console.log(`  - ${path.resolve(reportPath)}`));
+  } catch (error) {
+    console.error('Error comparing inventories:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Derive an application name from a Mule application JAR file name
+ *
+ * e.g. customer-experience-api-1.0.0-mule-application.jar -> customer-experience-api
+ */
+function applicationNameFromJar(fileName) {
+  return path.basename(fileName, '.jar')
+    .replace(/-mule-application$/, '')
+    .replace(/-\d+(\.\d+)*(-SNAPSHOT)?$/, '');
+}
+
+/**
+ * Read the artifactId of a Mule project from its pom.xml, falling back to the folder name
+ */
+function applicationNameFromProject(projectDir) {
+  const pomPath = path.join(projectDir, 'pom.xml');
+  
+  if (fs.existsSync(pomPath)) {
+    try {
+      const project = parseXml(fs.readFileSync(pomPath, 'utf8'));
+      const artifactId = project.children.find(child => child.localName === 'artifactId');
+      if (artifactId && artifactId.text.trim()) {
+        return artifactId.text.trim();
+      }
+    } catch (error) {
+      console.log(`Unable to read artifactId from ${pomPath}: ${error.message}`);
+    }
+  }
+  
+  return path.basename(path.resolve(projectDir));
+}
+
+function isMuleProjectDirectory(dirPath) {
+  return fs.existsSync(path.join(dirPath, 'src', 'main', 'mule'));
+}
+
+/**
+ * Find the JARs and Mule project folders to analyze offline
+ *
+ * The path may be a single JAR, a single Mule project folder, or a directory
+ * holding any mix of JARs and project folders.
+ */
+function findOfflineApplications(offlinePath) {
+  if (!fs.existsSync(offlinePath)) {
+    throw new Error(`Offline path ${offlinePath} does not exist`);
+  }
+  
+  const stats = fs.statSync(offlinePath);
+  
+  if (stats.isFile()) {
+    return offlinePath.endsWith('.jar') ? [{ type: 'jar', path: offlinePath }] : [];
+  }
+  
+  if (isMuleProjectDirectory(offlinePath)) {
+    return [{ type: 'project', path: offlinePath }];
+  }
+  
+  return fs.readdirSync(offlinePath, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(entry => {
+      const entryPath = path.join(offlinePath, entry.name);
+      if (entry.isFile() && entry.name.endsWith('.jar')) {
+        return { type: 'jar', path: entryPath };
+      }
+      if (entry.isDirectory() && isMuleProjectDirectory(entryPath)) {
+        return { type: 'project', path: entryPath };
+      }
+      return null;
+    })
+    .filter(source => source);
+}
+
+/**
+ * Analyze local JARs and Mule project folders without contacting Anypoint Platform
+ *
+ * Produces the same per-application JSON, complete inventory and CSV reports as
+ * an online run, with every application placed in a single offline business group
+ * and environment. Message volumes cannot be measured offline.
+ */
+async function analyzeOfflineConsumption(offlinePath) {
+  try {
+    console.log(`Starting offline billable consumption analysis of ${offlinePath}...`);
     
-    // Get access token
-    console.log('Authenticating with Anypoint Platform...');
-    const token = await getAccessToken();
+    ensureDirectoryExists(CONFIG.outputDir);
     
-    // Get root organization
-    console.log('Getting organization information...');
-    const rootOrg = await getRootOrganization(token);
-    console.log(`Root Organization: ${rootOrg.name} (${rootOrg.id})`);
+    const sources = findOfflineApplications(offlinePath).filter(source =>
+      matchesApplication(source.type === 'jar' ? applicationNameFromJar(source.path) : applicationNameFromProject(source.path), CONFIG.filters));
+    console.log(`Found ${sources.length} applications to analyze`);
     
-    // Get all business groups
-    console.log('Getting business groups...');
-    const businessGroups = await getBusinessGroups(token, rootOrg.id);
-    console.log(`Found ${businessGroups.length} business groups`);
+    const group = { id: 'offline', name: 'Offline Analysis', parentId: null };
+    const env = {
+      id: 'offline',
+      name: 'Offline',
+      type: 'offline',
+      isProduction: false
+    };
     
-    // Collect data for each business group and its environments
     const inventory = {
       timestamp: new Date().toISOString(),
-      rootOrganization: rootOrg,
+      offline: true,
+      sourcePath: path.resolve(offlinePath),
+      rootOrganization: { id: group.id, name: group.name },
+      filters: CONFIG.filters,
+      entitlements: CONFIG.entitlements,
+      costModel: CONFIG.costModel,
       businessGroups: [],
       summary: {
         totalApplications: 0,
@@ -1041,130 +3138,500 @@ async function analyzeBillableConsumption() {
       }
     };
     
-    for (const group of businessGroups) {
-      console.log(`Processing business group: ${group.name} (${group.id})`);
+    const environmentData = { ...env, applications: [] };
+    
+    environmentData.applications = await mapWithConcurrency(sources, CONFIG.concurrency, async source => {
+      const isJar = source.type === 'jar';
+      const stats = fs.statSync(source.path);
+      const domain = isJar ? applicationNameFromJar(source.path) : applicationNameFromProject(source.path);
+      const fileName = isJar ? path.basename(source.path) : null;
       
-      const environments = await getEnvironments(token, group.id);
-      console.log(`Found ${environments.length} environments in ${group.name}`);
+      console.log(`Processing application: ${domain} from ${source.path}`);
       
-      const businessGroupData = {
-        id: group.id,
-        name: group.name,
-        parentId: group.parentId,
-        environments: []
+      const appDetails = { domain, fileName };
+      const flowAnalysis = await analyzeJarForFlows(source.path, appDetails);
+      const messageAnalysis = estimateMessageVolume(null);
+      
+      const appData = {
+        domain,
+        status: 'OFFLINE',
+        lastUpdateTime: stats.mtime.toISOString(),
+        fileName,
+        muleVersion: 'Unknown',
+        workerSize: 0,
+        workerType: 'Unknown',
+        numberOfWorkers: 0,
+        platform: 'Offline',
+        flowAnalysis,
+        messageAnalysis,
+        jarInfo: {
+          jarPath: source.path,
+          downloaded: false,
+          size: isJar ? stats.size : null,
+          method: isJar ? 'local-file' : 'project-directory'
+        },
+        monitoringData: null
       };
       
-      for (const env of environments) {
-        console.log(`Processing environment: ${env.name} (${env.id}) in ${group.name}`);
-        
-        const applications = await getApplications(token, group.id, env.id);
-        console.log(`Found ${applications.length} applications in ${env.name}`);
-        
-        const environmentData = {
-          id: env.id,
-          name: env.name,
-          type: env.type,
-          isProduction: env.isProduction,
-          applications: []
-        };
-        
-        // Process each application to get detailed information
-        for (const app of applications) {
-          console.log(`Processing application: ${app.domain} in ${env.name}`);
-          
-          // Get detailed application information
-          const appDetails = await getApplicationDetails(token, group.id, env.id, app.domain);
-          
-          // Download JAR file if configured
-          let jarInfo = null;
-          if (CONFIG.downloadJars && appDetails) {
-            jarInfo = await downloadApplicationJar(token, group.id, env.id, appDetails);
-          }
-          
-          // Get monitoring data
-          const monitoringData = await getApplicationMonitoringData(token, group.id, env.id, app.domain);
-          
-          // Analyze JAR for flows or estimate based on app metadata
-          let flowAnalysis = null;
-          if (jarInfo && jarInfo.jarPath) {
-            flowAnalysis = await analyzeJarForFlows(jarInfo.jarPath, appDetails);
-          } else {
-            // No JAR info, use app details for estimation
-            flowAnalysis = await analyzeJarForFlows(null, appDetails);
-          }
-          
-          // Estimate message volume
-          const messageAnalysis = estimateMessageVolume(monitoringData);
-          
-          // Combine all information
-          const appData = {
-            ...app,
-            flowAnalysis,
-            messageAnalysis,
-            jarInfo,
-            monitoringData
-          };
-          
-          environmentData.applications.push(appData);
-          
-          // Update summary totals
-          inventory.summary.totalApplications++;
-          inventory.summary.totalEstimatedFlows += flowAnalysis.estimatedFlows || 0;
-          inventory.summary.totalEstimatedMonthlyMessages += messageAnalysis.estimatedMonthlyMessages || 0;
-          
-          // Save application data separately
-          ensureDirectoryExists(path.join(CONFIG.outputDir, group.id));
-          saveToJsonFile(
-            path.join(CONFIG.outputDir, group.id, `${app.domain}.json`),
-            {
-              businessGroup: { id: group.id, name: group.name },
-              environment: env,
-              application: appData
-            }
-          );
-        }
-        
-        businessGroupData.environments.push(environmentData);
-      }
+      saveApplicationData(group, env, appData);
       
-      inventory.businessGroups.push(businessGroupData);
+      return appData;
+    });
+    
+    inventory.businessGroups.push({
+      ...group,
+      environments: [environmentData]
+    });
+    calibrateFlowEstimates(inventory);
+    inventory.apiFailures = apiFailures;
+    inventory.summary = summarizeInventory(inventory);
+    
+    writeInventoryReports(inventory);
+    
+  } catch (error) {
+    console.error('Error analyzing offline consumption:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Collect details, JAR, monitoring, flow and message analysis for a single application
+ */
+async function analyzeApplication(token, group, env, app) {
+  const context = {
+    businessGroup: group.name,
+    environment: env.name,
+    application: app.domain,
+    failures: []
+  };
+  
+  const checkpointKey = Checkpoint.key(group.id, env.id, app.domain);
+  
+  if (runCheckpoint && CONFIG.resume) {
+    const entry = runCheckpoint.completed(checkpointKey, CONFIG.resumeMaxAgeHours * 60 * 60 * 1000);
+    const savedApp = entry && loadCheckpointedApplication(entry);
+    if (savedApp) {
+      console.log(`Reusing results for ${app.domain} in ${env.name} from ${entry.completedAt}`);
+      return savedApp;
     }
+  }
+  
+  return apiContext.run(context, async () => {
+    console.log(`Processing application: ${app.domain} in ${env.name}`);
     
-    // Save complete inventory
-    saveToJsonFile(
-      path.join(CONFIG.outputDir, 'complete-billable-consumption.json'),
-      inventory
-    );
+    // Get detailed application information
+    let appDetails;
+    if (app.platform === 'CloudHub 1.0') {
+      appDetails = await getApplicationDetails(token, group.id, env.id, app.domain);
+    } else if (app.platform === 'Hybrid') {
+      appDetails = getHybridAppDetails(app);
+    } else {
+      appDetails = getDeploymentAppDetails(app);
+    }
+    
+    // Download JAR file if configured, while fetching monitoring data
+    // CloudHub 1.0 and hybrid artifacts come from ARM, Application Manager artifacts from Exchange
+    const downloadJar = async () => {
+      if (!CONFIG.downloadJars || !appDetails) {
+        return null;
+      }
+      return app.deploymentId
+        ? downloadExchangeApplicationJar(token, appDetails)
+        : downloadApplicationJar(token, group.id, env.id, appDetails);
+    };
+    
+    const [jarInfo, monitoringData] = await Promise.all([
+      downloadJar(),
+      getApplicationMonitoringData(token, group.id, env.id, app.domain)
+    ]);
     
-    // Generate CSV reports
-    if (CONFIG.exportCsv) {
-      console.log('Generating CSV reports...');
-      generateApplicationCsvReport(inventory);
-      generateBusinessGroupCsvReport(inventory);
-      generateOrganizationSummaryReport(inventory);
+    // Analyze JAR for flows or estimate based on app metadata
+    let flowAnalysis = null;
+    if (jarInfo && jarInfo.jarPath) {
+      flowAnalysis = await analyzeJarForFlows(jarInfo.jarPath, appDetails);
+    } else {
+      // No JAR info, use app details for estimation
+      flowAnalysis = await analyzeJarForFlows(null, appDetails);
     }
     
-    console.log('Billable consumption analysis completed successfully!');
+    // Estimate message volume
+    const messageAnalysis = estimateMessageVolume(monitoringData);
+    
+    // Combine all information
+    const appData = {
+      ...app,
+      flowAnalysis,
+      messageAnalysis,
+      jarInfo,
+      monitoringData
+    };
+    
+    // Calls that failed for this application mean its numbers may be understated
+    appData.failedApiCalls = context.failures.map(failure => ({
+      method: failure.method,
+      url: failure.url,
+      status: failure.status,
+      error: failure.error
+    }));
     
-    // Print summary
-    console.log('\nSummary:');
-    console.log(`Total Applications: ${inventory.summary.totalApplications}`);
-    console.log(`Total Estimated Flows: ${inventory.summary.totalEstimatedFlows}`);
-    console.log(`Total Estimated Monthly Messages: ${inventory.summary.totalEstimatedMonthlyMessages.toLocaleString()}`);
-    console.log(`Business Groups: ${inventory.businessGroups.length}`);
-    console.log(`Output Directory: ${path.resolve(CONFIG.outputDir)}`);
-    if (CONFIG.exportCsv) {
-      console.log('CSV Reports:');
-      console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'billable-consumption-by-application.csv'))}`);
-      console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'billable-consumption-by-business-group.csv'))}`);
-      console.log(`  - ${path.resolve(path.join(CONFIG.outputDir, 'organization-consumption-summary.csv'))}`);
+    // Save application data separately; results with failed calls are analyzed again on resume.
+    // Optional calls with a fallback are not recorded, so they don't keep an application incomplete.
+    const filePath = saveApplicationData(group, env, appData);
+    if (runCheckpoint && appData.failedApiCalls.length === 0) {
+      runCheckpoint.markCompleted(checkpointKey, filePath);
     }
     
-  } catch (error) {
-    console.error('Error analyzing billable consumption:', error.message);
-    process.exit(1);
+    return appData;
+  });
+}
+
+/**
+ * Analyze every selected environment of a business group
+ */
+async function analyzeBusinessGroup(token, group) {
+  console.log(`Processing business group: ${group.name} (${group.id})`);
+  
+  const groupContext = { businessGroup: group.name, environment: null, application: null };
+  
+  const allEnvironments = await apiContext.run(groupContext, () => getEnvironments(token, group.id));
+  const environments = allEnvironments.filter(env => matchesEnvironment(env, CONFIG.filters));
+  console.log(`Found ${allEnvironments.length} environments in ${group.name}` +
+    (environments.length < allEnvironments.length ? `, analyzing ${environments.length} after filtering` : ''));
+  
+  // Runtime targets label each Application Manager deployment as CloudHub 2.0 or Runtime Fabric
+  const targetTypes = environments.length > 0
+    ? await apiContext.run(groupContext, () => getRuntimeTargets(token, group.id))
+    : {};
+  
+  return {
+    id: group.id,
+    name: group.name,
+    parentId: group.parentId,
+    environments: await mapWithConcurrency(environments, CONFIG.concurrency,
+      env => analyzeEnvironment(token, group, env, targetTypes))
+  };
+}
+
+/**
+ * Discover and analyze the applications of one environment across CloudHub, Application Manager and hybrid
+ */
+async function analyzeEnvironment(token, group, env, targetTypes) {
+  console.log(`Processing environment: ${env.name} (${env.id}) in ${group.name}`);
+  
+  const [cloudHubApplications, deployedApplications, hybridInventory] = await apiContext.run(
+    { businessGroup: group.name, environment: env.name, application: null },
+    () => Promise.all([
+      getApplications(token, group.id, env.id),
+      getDeployments(token, group.id, env.id, targetTypes),
+      getHybridInventory(token, group.id, env.id)
+    ])
+  );
+  const allApplications = [...cloudHubApplications, ...deployedApplications, ...hybridInventory.applications];
+  console.log(`Found ${allApplications.length} applications in ${env.name} (${cloudHubApplications.length} CloudHub 1.0, ${deployedApplications.length} CloudHub 2.0/Runtime Fabric, ${hybridInventory.applications.length} hybrid)`);
+  
+  const applications = allApplications.filter(app => matchesApplication(app.domain, CONFIG.filters));
+  if (applications.length < allApplications.length) {
+    console.log(`Analyzing ${applications.length} of ${allApplications.length} applications in ${env.name} after filtering`);
   }
+  
+  return {
+    id: env.id,
+    name: env.name,
+    type: env.type,
+    isProduction: env.isProduction,
+    hybrid: {
+      servers: hybridInventory.servers,
+      clusters: hybridInventory.clusters,
+      serverGroups: hybridInventory.serverGroups
+    },
+    // Results keep the order the APIs listed the applications in, whatever order they finish in
+    applications: await Promise.all(applications.map(app =>
+      limitApplications(() => analyzeApplication(token, group, env, app))))
+  };
+}
+
+/**
+ * Total applications, flows and monthly messages across an inventory
+ */
+function summarizeInventory(inventory) {
+  const summary = {
+    totalApplications: 0,
+    totalEstimatedFlows: 0,
+    totalEstimatedMonthlyMessages: 0,
+    failedApiCalls: (inventory.apiFailures || []).length,
+    applicationsWithFailedApiCalls: 0,
+    applicationsWithUnknownMessages: 0
+  };
+  
+  inventory.businessGroups.forEach(group => {
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        summary.totalApplications++;
+        summary.totalEstimatedFlows += app.flowAnalysis?.estimatedFlows || 0;
+        summary.totalEstimatedMonthlyMessages += app.messageAnalysis?.estimatedMonthlyMessages || 0;
+        if (app.failedApiCalls && app.failedApiCalls.length > 0) {
+          summary.applicationsWithFailedApiCalls++;
+        }
+        if (app.messageAnalysis?.confidence === 'unknown') {
+          summary.applicationsWithUnknownMessages++;
+        }
+      });
+    });
+  });
+  
+  return summary;
 }
 
-// Run the main function
-analyzeBillableConsumption();
\ No newline at end of file
+/**
+ * Analyze the organization through the Anypoint Platform APIs, then save the
+ * inventory and reports
+ *
+ * @returns {Promise<object>} the inventory
+ */
+async function analyzeBillableConsumption() {
+  console.log('Starting Anypoint Platform billable consumption analysis...');
+  
+  // Failures are recorded per run, so a scheduled run doesn't report the previous run's
+  apiFailures.length = 0;
+  
+  // Create output directory
+  ensureDirectoryExists(CONFIG.outputDir);
+  
+  // Get access token
+  console.log('Authenticating with Anypoint Platform...');
+  const token = await getAccessToken();
+  
+  // Get root organization
+  console.log('Getting organization information...');
+  const rootOrg = await getRootOrganization(token);
+  console.log(`Root Organization: ${rootOrg.name} (${rootOrg.id})`);
+  
+  // Record finished applications as we go so an interrupted run can resume
+  runCheckpoint = new Checkpoint(path.join(CONFIG.outputDir, CHECKPOINT_FILE), {
+    organizationId: rootOrg.id,
+    analyzeDays: CONFIG.analyzeDays,
+    filters: CONFIG.filters,
+    metricsBackend: CONFIG.metricsBackend,
+    metricsInterval: CONFIG.metricsInterval,
+    downloadJars: CONFIG.downloadJars,
+    flowRules: CONFIG.flowRules
+  });
+  if (CONFIG.resume) {
+    const resumed = runCheckpoint.load();
+    console.log(resumed.loaded
+      ? `Resuming run started ${runCheckpoint.manifest.startedAt} with ${resumed.applications} applications already analyzed`
+      : `Starting a new run: ${resumed.reason}`);
+  }
+  
+  // Get all business groups
+  console.log('Getting business groups...');
+  const businessGroups = await getBusinessGroups(token, rootOrg.id);
+  console.log(`Found ${businessGroups.length} business groups`);
+  
+  // Collect data for each business group and its environments
+  const inventory = {
+    timestamp: new Date().toISOString(),
+    rootOrganization: { id: rootOrg.id, name: rootOrg.name },
+    filters: CONFIG.filters,
+    // Entitlements from a file or the config take precedence over the organization record
+    entitlements: CONFIG.entitlements || entitlementsFromOrganization(rootOrg.entitlements),
+    costModel: CONFIG.costModel,
+    businessGroups: [],
+    summary: {
+      totalApplications: 0,
+      totalEstimatedFlows: 0,
+      totalEstimatedMonthlyMessages: 0
+    }
+  };
+  
+  const selectedGroups = selectBusinessGroups(businessGroups, CONFIG.filters);
+  if (selectedGroups.length < businessGroups.length) {
+    console.log(`Analyzing ${selectedGroups.length} of ${businessGroups.length} business groups after filtering`);
+  }
+  
+  // Business groups are processed concurrently; results keep the hierarchy order
+  inventory.businessGroups = await mapWithConcurrency(selectedGroups, CONFIG.concurrency,
+    group => analyzeBusinessGroup(token, group));
+  
+  calibrateFlowEstimates(inventory);
+  calibrateMessageEstimates(inventory);
+  inventory.apiFailures = [...apiFailures];
+  inventory.summary = summarizeInventory(inventory);
+  
+  writeInventoryReports(inventory);
+  runCheckpoint.finish();
+  
+  return inventory;
+}
+
+/**
+ * Listen on --host and --port, exiting when the port can't be used
+ */
+function listen(server, name, urlPath) {
+  server.on('error', error => {
+    console.error(`Error serving ${name}:`, error.message);
+    process.exit(1);
+  });
+  server.listen(CONFIG.port, CONFIG.host, () => {
+    console.log(`Serving ${name} at http://${CONFIG.host}:${server.address().port}${urlPath}`);
+  });
+}
+
+/**
+ * Run the analysis on a schedule and serve the latest results as Prometheus metrics
+ *
+ * Each run starts --export-interval minutes after the previous one ends, so runs
+ * never overlap. A failed run keeps the metrics of the last successful one and
+ * is reported through the exporter's own metrics.
+ */
+function startMetricsExporter() {
+  const state = {
+    inventory: null,
+    runs: { success: 0, failure: 0 },
+    lastRunSucceeded: null,
+    lastRunDurationSeconds: null,
+    lastSuccessfulRun: null,
+    failedApiCalls: 0,
+    applicationsWithFailedApiCalls: 0
+  };
+  
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    
+    if (pathname !== '/metrics') {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found; metrics are served at /metrics\n');
+      return;
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+      response.end('Method not allowed\n');
+      return;
+    }
+    
+    const openMetrics = acceptsOpenMetrics(request.headers.accept);
+    const families = [
+      ...(state.inventory ? inventoryMetrics(state.inventory) : []),
+      ...exporterMetrics(state)
+    ];
+    
+    response.writeHead(200, { 'Content-Type': openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE });
+    response.end(request.method === 'HEAD' ? undefined : renderMetrics(families, { openMetrics }));
+  });
+  
+  listen(server, 'metrics', '/metrics');
+  
+  const run = async () => {
+    const startedAt = Date.now();
+    
+    try {
+      const inventory = await analyzeBillableConsumption();
+      state.inventory = inventory;
+      state.runs.success++;
+      state.lastRunSucceeded = true;
+      state.lastSuccessfulRun = Date.now() / 1000;
+      state.applicationsWithFailedApiCalls = inventory.summary.applicationsWithFailedApiCalls;
+    } catch (error) {
+      console.error('Error analyzing billable consumption:', error.message);
+      state.runs.failure++;
+      state.lastRunSucceeded = false;
+    }
+    
+    state.failedApiCalls = apiFailures.length;
+    state.lastRunDurationSeconds = (Date.now() - startedAt) / 1000;
+    
+    console.log(`Next analysis in ${CONFIG.exportIntervalMinutes} minutes`);
+    setTimeout(run, CONFIG.exportIntervalMinutes * 60 * 1000);
+  };
+  
+  run();
+}
+
+/**
+ * Serve an inventory and the archived snapshots of its organization through the REST API
+ *
+ * The inventory is reloaded when its file changes, so the API follows scheduled
+ * runs that write to the same output directory. Archived snapshots are reduced
+ * to their totals once and kept in memory.
+ */
+function startApiServer(inventoryPath) {
+  let latest = null;
+  const snapshots = new Map();
+  
+  const source = {
+    inventory: () => {
+      if (!fs.existsSync(inventoryPath)) {
+        throw new ApiError(503, `No inventory at ${inventoryPath} yet; run an analysis first`);
+      }
+      const modified = fs.statSync(inventoryPath).mtimeMs;
+      if (!latest || latest.modified !== modified) {
+        try {
+          latest = { modified, inventory: loadInventory(inventoryPath) };
+        } catch (error) {
+          throw new ApiError(503, `Unable to read inventory ${inventoryPath}: ${error.message}`);
+        }
+      }
+      return latest.inventory;
+    },
+    history: () => {
+      const inventory = source.inventory();
+      const archived = listArchivedInventories()
+        .map(archivePath => {
+          if (!snapshots.has(archivePath)) {
+            try {
+              snapshots.set(archivePath, summarizeSnapshot(loadInventory(archivePath)));
+            } catch (error) {
+              console.log(`Skipping archived inventory ${archivePath}: ${error.message}`);
+              snapshots.set(archivePath, null);
+            }
+          }
+          return snapshots.get(archivePath);
+        })
+        .filter(snapshot => snapshot && snapshot.rootOrganization?.id === inventory.rootOrganization?.id);
+      
+      // The latest inventory counts as a snapshot even when it wasn't archived
+      if (!archived.some(snapshot => snapshot.timestamp === inventory.timestamp)) {
+        archived.push(summarizeSnapshot(inventory));
+      }
+      return archived;
+    }
+  };
+  
+  const server = http.createServer((request, response) => {
+    const { status, body } = handleApiRequest(request.method, request.url, source);
+    const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    if (status === 405) {
+      headers.Allow = 'GET, HEAD';
+    }
+    
+    response.writeHead(status, headers);
+    response.end(request.method === 'HEAD' ? undefined : JSON.stringify(body, null, 2) + '\n');
+  });
+  
+  console.log(`Loading inventory from ${inventoryPath}`);
+  listen(server, 'the inventory API', API_PREFIX);
+}
+
+// Run the selected command
+switch (invocation.command) {
+  case 'offline':
+    analyzeOfflineConsumption(CONFIG.offlinePath);
+    break;
+  case 'report':
+    regenerateReports(invocation.positionals[0] || path.join(CONFIG.outputDir, 'complete-billable-consumption.json'));
+    break;
+  case 'diff':
+    compareInventories(invocation.positionals);
+    break;
+  case 'export':
+    startMetricsExporter();
+    break;
+  case 'serve':
+    startApiServer(invocation.positionals[0] || path.join(CONFIG.outputDir, 'complete-billable-consumption.json'));
+    break;
+  default:
+    analyzeBillableConsumption().catch(error => {
+      console.error('Error analyzing billable consumption:', error.message);
+      process.exit(1);
+    });
+}
\ No newline at end of file
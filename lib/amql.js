@@ -0,0 +1,140 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Metrics Query API endpoint, relative to the Anypoint Platform base URL
+const AMQL_SEARCH_PATH = '/observability/api/v1/metrics:search';
+
+// Inbound events of Mule applications, with a dimension for the flow that handled them
+const AMQL_MESSAGE_METRIC = 'mulesoft.app.inbound';
+const AMQL_MESSAGE_MEASURE = 'requests';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quote a value for an AMQL string literal
+ */
+function literal(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build the query for an application's daily message counts, optionally split by flow
+ *
+ * @param {{orgId: string, envId: string, appId: string, from: number, to: number, byFlow: boolean}} params
+ * @returns {string}
+ */
+function buildMessageQuery({ orgId, envId, appId, from, to, byFlow }) {
+  const dimensions = byFlow ? '"flow.name", timestamp' : 'timestamp';
+
+  return [
+    `SELECT ${dimensions}, SUM("${AMQL_MESSAGE_MEASURE}") AS messages`,
+    `FROM "${AMQL_MESSAGE_METRIC}"`,
+    `WHERE "sub_org.id" = ${literal(orgId)}`,
+    `AND "env.id" = ${literal(envId)}`,
+    `AND "app.id" = ${literal(appId)}`,
+    `AND timestamp BETWEEN ${from} AND ${to}`,
+    `GROUP BY ${byFlow ? '"flow.name", ' : ''}date_trunc('day', timestamp)`,
+    'ORDER BY timestamp'
+  ].join(' ');
+}
+
+/**
+ * The rows of a Metrics Query API response
+ */
+function resultRows(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.data)) {
+    return data.data;
+  }
+  if (data && Array.isArray(data.rows)) {
+    return data.rows;
+  }
+  return [];
+}
+
+/**
+ * The message count of a row: the `messages` column, or else its only numeric aggregate
+ */
+function rowCount(row) {
+  if (typeof row.messages === 'number') {
+    return row.messages;
+  }
+  const aggregate = Object.entries(row).find(([key, value]) => key !== 'timestamp' && typeof value === 'number');
+  return aggregate ? aggregate[1] : null;
+}
+
+function rowTime(row) {
+  const time = typeof row.timestamp === 'number' ? row.timestamp : Date.parse(row.timestamp);
+  // Timestamps may come back in seconds
+  return Number.isNaN(time) ? null : time < 1e11 ? time * 1000 : time;
+}
+
+/**
+ * Convert daily application rows to message data in the shape of the monitoring endpoints
+ *
+ * @returns {{messageCount: {count: number, values: Array<{timestamp: number, value: number}>}}|null} null without rows
+ */
+function toMessageData(data) {
+  const values = resultRows(data)
+    .map(row => ({ timestamp: rowTime(row), value: rowCount(row) }))
+    .filter(point => point.timestamp !== null && point.value !== null);
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  return {
+    messageCount: {
+      count: values.reduce((sum, point) => sum + point.value, 0),
+      values
+    }
+  };
+}
+
+/**
+ * Convert per-flow rows to flow metrics in the shape of the monitoring endpoints
+ *
+ * @returns {Array<{name: string, messageCount: {count: number, values: object[]}}>|null} null without rows
+ */
+function toFlowMetrics(data) {
+  const flows = new Map();
+
+  resultRows(data).forEach(row => {
+    const name = row['flow.name'] || row.flow;
+    const count = rowCount(row);
+    if (!name || count === null) {
+      return;
+    }
+    const flow = flows.get(name) || { name, messageCount: { count: 0, values: [] } };
+    flow.messageCount.count += count;
+    const time = rowTime(row);
+    if (time !== null) {
+      flow.messageCount.values.push({ timestamp: Math.floor(time / DAY_MS) * DAY_MS, value: count });
+    }
+    flows.set(name, flow);
+  });
+
+  return flows.size > 0 ? Array.from(flows.values()) : null;
+}
+
+module.exports = {
+  AMQL_SEARCH_PATH,
+  buildMessageQuery,
+  toFlowMetrics,
+  toMessageData
+};
@@ -0,0 +1,131 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { multipleRegression, tQuantile95 } = require('./stats');
+
+// Fewest applications with both CPU and message metrics worth calibrating on
+const MIN_CALIBRATION_APPLICATIONS = 8;
+
+const API_TYPES = ['experience', 'process', 'system'];
+
+/**
+ * Classify an application as an experience, process or system API from its name, like the flow estimates do
+ */
+function apiTypeOf(app) {
+  const name = `${app.fileName || ''} ${app.domain || ''}`.toLowerCase();
+
+  if (name.includes('eapi') || name.includes('experience-api') || name.includes('exp-api')) {
+    return 'experience';
+  }
+  if (name.includes('papi') || name.includes('process-api') || name.includes('prc-api')) {
+    return 'process';
+  }
+  if (name.includes('sapi') || name.includes('system-api') || name.includes('sys-api')) {
+    return 'system';
+  }
+  return 'other';
+}
+
+/**
+ * Average CPU usage from the resource metrics of an application, if any
+ */
+function cpuAverage(monitoringData) {
+  const cpu = monitoringData?.resourceData?.cpu;
+  return cpu && typeof cpu.average === 'number' ? cpu.average : null;
+}
+
+/**
+ * The predictors of message volume available for an application
+ */
+function messageFeatures(app) {
+  return {
+    cpu: cpuAverage(app.monitoringData),
+    vCores: (app.workerSize || 0) * (app.numberOfWorkers || 0),
+    apiType: apiTypeOf(app)
+  };
+}
+
+// Candidate predictors; API types are indicator variables with "other" as the baseline
+const PREDICTORS = [
+  { name: 'cpu', value: features => features.cpu },
+  { name: 'vCores', value: features => features.vCores },
+  ...API_TYPES.map(type => ({ name: `apiType:${type}`, value: features => (features.apiType === type ? 1 : 0) }))
+];
+
+/**
+ * Calibrate daily messages against CPU, vCores and API type on applications that report both
+ *
+ * Predictors that don't vary across the calibration applications are left out,
+ * since they can't be estimated from them.
+ *
+ * @param {Array<{features: object, dailyMessages: number}>} samples
+ * @returns {{calibrated: boolean, reason?: string, applications: number, predictors?: string[], rSquared?: number, residualStdDev?: number, estimate?: function}}
+ */
+function calibrateMessageEstimator(samples) {
+  if (samples.length < MIN_CALIBRATION_APPLICATIONS) {
+    return {
+      calibrated: false,
+      reason: `${samples.length} applications report both CPU and message metrics; at least ${MIN_CALIBRATION_APPLICATIONS} are needed`,
+      applications: samples.length
+    };
+  }
+
+  const predictors = PREDICTORS.filter(predictor =>
+    new Set(samples.map(sample => predictor.value(sample.features))).size > 1);
+  if (!predictors.some(predictor => predictor.name === 'cpu')) {
+    return { calibrated: false, reason: 'CPU usage is the same for every calibration application', applications: samples.length };
+  }
+
+  const row = features => predictors.map(predictor => predictor.value(features));
+  const model = multipleRegression(samples.map(sample => row(sample.features)), samples.map(sample => sample.dailyMessages));
+  if (!model) {
+    return { calibrated: false, reason: 'calibration applications are too alike to fit', applications: samples.length };
+  }
+
+  // The residual spread is estimated from a handful of applications, so the band uses the t distribution
+  const quantile = tQuantile95(model.degreesOfFreedom);
+
+  /**
+   * Estimate daily messages with a 95% prediction interval
+   */
+  const estimate = features => {
+    const x = [1, ...row(features)];
+    const value = x.reduce((sum, xi, i) => sum + xi * model.coefficients[i], 0);
+    const leverage = x.reduce((sum, xi, i) => sum + xi * model.inverse[i].reduce((inner, value, j) => inner + value * x[j], 0), 0);
+    const halfWidth = quantile * model.residualStdDev * Math.sqrt(1 + leverage);
+
+    return {
+      dailyMessages: Math.max(0, value),
+      lower: Math.max(0, value - halfWidth),
+      upper: Math.max(0, value + halfWidth)
+    };
+  };
+
+  return {
+    calibrated: true,
+    applications: samples.length,
+    predictors: predictors.map(predictor => predictor.name),
+    rSquared: model.rSquared,
+    residualStdDev: model.residualStdDev,
+    estimate
+  };
+}
+
+module.exports = {
+  calibrateMessageEstimator,
+  cpuAverage,
+  messageFeatures
+};
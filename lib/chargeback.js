@@ -0,0 +1,199 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+
+const RECONCILIATION_METHODS = ['unallocated', 'proportional'];
+
+const UNASSIGNED_COST_CENTER = 'Unassigned';
+
+function checkPrice(value, label, source) {
+  const number = Number(value === undefined || value === null ? 0 : value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`Invalid ${label} "${value}" in ${source}`);
+  }
+  return number;
+}
+
+const roundCents = value => Math.round(value * 100) / 100;
+
+/**
+ * Validate a cost model from a file or config
+ *
+ * Prices are for the contract period, a year: per flow, per million messages
+ * (twelve times the estimated monthly messages) and per vCore.
+ *
+ * @param {object} raw e.g. {pricePerFlow: 1200, pricePerMillionMessages: 15, pricePerVCore: 9000, contractValue: 250000, costCenters: {Sales: 'CC-100'}}
+ * @param {string} source where the cost model came from, for messages and reports
+ */
+function normalizeCostModel(raw, source) {
+  const reconciliation = raw.reconciliation || 'unallocated';
+  if (!RECONCILIATION_METHODS.includes(reconciliation)) {
+    throw new Error(`Unknown reconciliation "${reconciliation}" in ${source}; expected one of ${RECONCILIATION_METHODS.join(', ')}`);
+  }
+
+  return {
+    source,
+    currency: raw.currency || 'USD',
+    pricePerFlow: checkPrice(raw.pricePerFlow, 'pricePerFlow', source),
+    pricePerMillionMessages: checkPrice(raw.pricePerMillionMessages, 'pricePerMillionMessages', source),
+    pricePerVCore: checkPrice(raw.pricePerVCore, 'pricePerVCore', source),
+    contractValue: raw.contractValue === undefined || raw.contractValue === null
+      ? null
+      : checkPrice(raw.contractValue, 'contractValue', source),
+    reconciliation,
+    costCenters: raw.costCenters || {}
+  };
+}
+
+/**
+ * Read a cost model from a JSON file
+ */
+function loadCostModelFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Cost model file ${filePath} does not exist`);
+  }
+
+  try {
+    return normalizeCostModel(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+  } catch (error) {
+    throw new Error(`Unable to read cost model file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the cost center of a business group by ID or name
+ */
+function costCenterFor(group, costCenters) {
+  if (costCenters[group.id]) {
+    return costCenters[group.id];
+  }
+  const key = Object.keys(costCenters).find(name => name.toLowerCase() === String(group.name).toLowerCase());
+  return key ? costCenters[key] : UNASSIGNED_COST_CENTER;
+}
+
+function emptyLine() {
+  return { applications: 0, flows: 0, annualMessages: 0, vCores: 0, flowCost: 0, messageCost: 0, vCoreCost: 0, total: 0 };
+}
+
+function addToLine(line, app) {
+  line.applications++;
+  ['flows', 'annualMessages', 'vCores', 'flowCost', 'messageCost', 'vCoreCost', 'total'].forEach(field => {
+    line[field] += app[field];
+  });
+}
+
+/**
+ * Allocate the subscription cost to every application and business group
+ *
+ * Each application is charged for its flows, annual messages and vCores at the
+ * model's prices. With a contract value, the difference from the allocated total
+ * is either reported as unallocated or spread across applications in proportion
+ * to their cost, so the reconciliation total always matches the contract.
+ *
+ * @param {object} inventory complete-billable-consumption.json
+ * @param {object} costModel from normalizeCostModel
+ * @returns {{applications: object[], businessGroups: object[], allocatedTotal: number, unallocated: number, total: number}}
+ */
+function allocateCosts(inventory, costModel) {
+  const applications = [];
+
+  inventory.businessGroups.forEach(group => {
+    const costCenter = costCenterFor(group, costModel.costCenters);
+
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        const flows = app.flowAnalysis?.estimatedFlows || 0;
+        const annualMessages = (app.messageAnalysis?.estimatedMonthlyMessages || 0) * 12;
+        const vCores = (app.workerSize || 0) * (app.numberOfWorkers || 0);
+
+        applications.push({
+          businessGroupId: group.id,
+          businessGroup: group.name,
+          costCenter,
+          environment: env.name,
+          isProduction: Boolean(env.isProduction),
+          domain: app.domain,
+          flows,
+          annualMessages,
+          vCores,
+          flowCost: flows * costModel.pricePerFlow,
+          messageCost: annualMessages / 1000000 * costModel.pricePerMillionMessages,
+          vCoreCost: vCores * costModel.pricePerVCore,
+          adjustment: 0
+        });
+      });
+    });
+  });
+
+  applications.forEach(app => {
+    app.total = app.flowCost + app.messageCost + app.vCoreCost;
+  });
+
+  const priced = applications.reduce((sum, app) => sum + app.total, 0);
+  if (costModel.contractValue !== null && costModel.reconciliation === 'proportional' && priced > 0) {
+    const factor = costModel.contractValue / priced;
+    applications.forEach(app => {
+      app.adjustment = app.total * (factor - 1);
+      app.total += app.adjustment;
+    });
+  }
+
+  applications.forEach(app => {
+    ['flowCost', 'messageCost', 'vCoreCost', 'adjustment', 'total'].forEach(field => {
+      app[field] = roundCents(app[field]);
+    });
+  });
+
+  // Separate production and sandbox lines for each business group
+  const groups = new Map();
+  applications.forEach(app => {
+    if (!groups.has(app.businessGroupId)) {
+      groups.set(app.businessGroupId, {
+        businessGroupId: app.businessGroupId,
+        businessGroup: app.businessGroup,
+        costCenter: app.costCenter,
+        production: emptyLine(),
+        sandbox: emptyLine(),
+        total: 0
+      });
+    }
+    const group = groups.get(app.businessGroupId);
+    addToLine(app.isProduction ? group.production : group.sandbox, app);
+    group.total += app.total;
+  });
+
+  const allocatedTotal = roundCents(applications.reduce((sum, app) => sum + app.total, 0));
+  // Whatever the contract covers beyond the allocation, including rounding
+  const unallocated = costModel.contractValue === null ? 0 : roundCents(costModel.contractValue - allocatedTotal);
+
+  return {
+    applications,
+    businessGroups: Array.from(groups.values()).map(group => ({
+      ...group,
+      total: roundCents(group.total)
+    })),
+    allocatedTotal,
+    unallocated,
+    total: roundCents(allocatedTotal + unallocated)
+  };
+}
+
+module.exports = {
+  allocateCosts,
+  loadCostModelFile,
+  normalizeCostModel
+};
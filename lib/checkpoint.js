@@ -0,0 +1,118 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+
+/**
+ * Manifest of the applications a run has finished, so an interrupted run can resume
+ *
+ * The manifest records the settings that change results (such as the analysis
+ * period, filters and metrics backend); a manifest written with different settings
+ * is not reused.
+ */
+class Checkpoint {
+  /**
+   * @param {string} filePath where the manifest is written
+   * @param {object} settings run settings that must match for results to be reused
+   */
+  constructor(filePath, settings) {
+    this.filePath = filePath;
+    this.settings = settings;
+    this.manifest = {
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      settings,
+      applications: {}
+    };
+  }
+
+  static key(groupId, envId, domain) {
+    return `${groupId}/${envId}/${domain}`;
+  }
+
+  /**
+   * Load the previous manifest, keeping its completed applications if its settings match
+   *
+   * @returns {{loaded: boolean, reason: string|null, applications: number}}
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return { loaded: false, reason: 'no checkpoint found', applications: 0 };
+    }
+
+    let previous;
+    try {
+      previous = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      return { loaded: false, reason: `checkpoint unreadable: ${error.message}`, applications: 0 };
+    }
+
+    if (JSON.stringify(previous.settings) !== JSON.stringify(this.settings)) {
+      return { loaded: false, reason: 'checkpoint was written with different settings', applications: 0 };
+    }
+
+    this.manifest.startedAt = previous.startedAt;
+    this.manifest.applications = previous.applications || {};
+
+    return { loaded: true, reason: null, applications: Object.keys(this.manifest.applications).length };
+  }
+
+  /**
+   * Find a completed application whose result file exists and is younger than maxAgeMs
+   */
+  completed(key, maxAgeMs) {
+    const entry = this.manifest.applications[key];
+
+    if (!entry || !fs.existsSync(entry.file)) {
+      return null;
+    }
+    if (Date.now() - Date.parse(entry.completedAt) > maxAgeMs) {
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Record a finished application and write the manifest
+   */
+  markCompleted(key, file) {
+    this.manifest.applications[key] = {
+      file,
+      completedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Mark the whole run as finished
+   */
+  finish() {
+    this.manifest.completedAt = new Date().toISOString();
+    this.save();
+  }
+
+  save() {
+    // Write then rename so an interrupted write never leaves a truncated manifest
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.manifest, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  Checkpoint
+};
@@ -0,0 +1,322 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_CONFIG_FILE = 'consumption-analyzer.config.json';
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Split a comma-separated list, keeping commas inside /regular expressions/
+ *
+ * An item that starts with a slash runs to its closing slash, so quantifiers
+ * such as {1,30} survive: "/^(a|b)-.{1,30}$/i,order-*" is two items.
+ */
+function splitList(value) {
+  const items = [];
+  let item = '';
+  let inRegex = false;
+  let inClass = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (inRegex) {
+      item += char;
+      if (char === '\\') {
+        item += value[++i] || '';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        inRegex = false;
+      }
+    } else if (char === ',') {
+      items.push(item);
+      item = '';
+    } else {
+      inRegex = char === '/' && item.trim() === '';
+      item += char;
+    }
+  }
+  items.push(item);
+
+  return items.map(entry => entry.trim()).filter(entry => entry);
+}
+
+/**
+ * Convert a raw flag, environment or config file value to the option's type
+ */
+function coerceValue(option, value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  switch (option.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      return !['false', '0', 'no', 'off', ''].includes(String(value).toLowerCase());
+    case 'number': {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new UsageError(`--${option.name} expects a number but got "${value}"`);
+      }
+      return number;
+    }
+    case 'list':
+      if (Array.isArray(value)) {
+        return value.map(String);
+      }
+      return splitList(String(value));
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Parse command-line arguments against a command and option table
+ *
+ * Supports `--name value`, `--name=value`, `--no-name` for booleans, short
+ * aliases, and repeated or comma-separated values for list options. An option
+ * whose table entry lists `commands` is rejected on any other command.
+ *
+ * @returns {{command: string, positionals: string[], values: object, help: boolean}}
+ */
+function parseArgs(argv, { commands, options, defaultCommand }) {
+  const values = {};
+  const positionals = [];
+  const given = [];
+  let command = null;
+  let help = false;
+
+  const byName = {};
+  options.forEach(option => {
+    byName[`--${option.name}`] = option;
+    if (option.alias) {
+      byName[`-${option.alias}`] = option;
+    }
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      if (command === null && positionals.length === 0 && commands[arg]) {
+        command = arg;
+      } else {
+        positionals.push(arg);
+      }
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const flag = equals === -1 ? arg : arg.slice(0, equals);
+    let option = byName[flag];
+    let value;
+
+    if (!option && flag.startsWith('--no-')) {
+      option = byName[`--${flag.slice(5)}`];
+      if (option && option.type === 'boolean') {
+        given.push({ flag, option });
+        values[option.key] = false;
+        continue;
+      }
+      option = null;
+    }
+
+    if (!option) {
+      throw new UsageError(`Unknown option ${flag}`);
+    }
+    given.push({ flag, option });
+
+    if (equals !== -1) {
+      value = arg.slice(equals + 1);
+    } else if (option.type === 'boolean') {
+      value = true;
+    } else if (i + 1 < argv.length) {
+      value = argv[++i];
+    } else {
+      throw new UsageError(`${flag} requires a value`);
+    }
+
+    value = coerceValue(option, value);
+    if (option.type === 'list' && values[option.key]) {
+      values[option.key] = values[option.key].concat(value);
+    } else {
+      values[option.key] = value;
+    }
+  }
+
+  command = command || defaultCommand;
+
+  if (!help) {
+    const misplaced = given.find(({ option }) => option.commands && !option.commands.includes(command));
+    if (misplaced) {
+      throw new UsageError(`${misplaced.flag} does not apply to the ${command} command`);
+    }
+  }
+
+  return {
+    command,
+    positionals,
+    values,
+    help
+  };
+}
+
+/**
+ * Load a JSON config file, returning an empty object when the default file is absent
+ */
+function loadConfigFile(configPath) {
+  const filePath = configPath || DEFAULT_CONFIG_FILE;
+
+  if (!fs.existsSync(filePath)) {
+    if (configPath) {
+      throw new UsageError(`Config file ${configPath} does not exist`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Unable to read config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve every option from flags, then environment variables, then the config file, then defaults
+ */
+function resolveOptions(values, options, env, fileConfig) {
+  const resolved = {};
+
+  options.forEach(option => {
+    let value = values[option.key];
+
+    if (value === undefined && option.env && env[option.env] !== undefined && env[option.env] !== '') {
+      value = coerceValue(option, env[option.env]);
+    }
+
+    if (value === undefined && fileConfig[option.key] !== undefined) {
+      value = coerceValue(option, fileConfig[option.key]);
+    }
+
+    if (value === undefined) {
+      value = typeof option.default === 'function' ? option.default() : option.default;
+    }
+
+    resolved[option.key] = value;
+  });
+
+  return resolved;
+}
+
+function describeOption(option) {
+  let flag = option.alias ? `-${option.alias}, --${option.name}` : `    --${option.name}`;
+
+  if (option.type === 'boolean') {
+    flag = option.default === true ? flag.replace(`--${option.name}`, `--[no-]${option.name}`) : flag;
+  } else {
+    flag += ` <${option.valueName || 'value'}>`;
+  }
+
+  const notes = [];
+  if (option.env) {
+    notes.push(`env: ${option.env}`);
+  }
+  if (option.default !== undefined && option.default !== null && typeof option.default !== 'function' &&
+    !(Array.isArray(option.default) && option.default.length === 0)) {
+    notes.push(`default: ${Array.isArray(option.default) ? option.default.join(',') : option.default}`);
+  }
+
+  return {
+    flag,
+    description: option.description + (notes.length > 0 ? ` (${notes.join(', ')})` : '')
+  };
+}
+
+function formatRows(rows) {
+  const width = Math.max(...rows.map(row => row[0].length)) + 2;
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`).join('\n');
+}
+
+/**
+ * Generate help text from the command and option tables
+ *
+ * With a command, only the options that apply to it are listed.
+ */
+function formatHelp(programName, { commands, options }, command) {
+  const lines = [];
+  const applicable = options.filter(option => !command || !option.commands || option.commands.includes(command));
+
+  if (command) {
+    const spec = commands[command];
+    lines.push(`Usage: ${programName} ${command}${spec.arguments ? ' ' + spec.arguments : ''} [options]`);
+    lines.push('');
+    lines.push(spec.description);
+  } else {
+    lines.push(`Usage: ${programName} <command> [options]`);
+    lines.push('');
+    lines.push('Commands:');
+    lines.push(formatRows(Object.keys(commands).map(name => [
+      name + (commands[name].arguments ? ' ' + commands[name].arguments : ''),
+      commands[name].description
+    ])));
+  }
+
+  lines.push('');
+  lines.push('Options:');
+  const described = applicable.map(describeOption);
+  described.push({ flag: '-h, --help', description: 'Show help' });
+  lines.push(formatRows(described.map(option => [option.flag, option.description])));
+
+  lines.push('');
+  lines.push(`Options may also be set in ${DEFAULT_CONFIG_FILE} (or the file given by --config) using their camelCase names.`);
+  if (!command) {
+    lines.push(`Run "${programName} <command> --help" for the options of a single command.`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  UsageError,
+  formatHelp,
+  loadConfigFile,
+  parseArgs,
+  resolveOptions,
+  splitList
+};
@@ -0,0 +1,229 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight at once
+ *
+ * Results are returned in the order of the input items regardless of
+ * the order in which the calls complete.
+ *
+ * @param {Array} items
+ * @param {number} limit maximum number of concurrent calls
+ * @param {function(*, number): Promise<*>} fn called with each item and its index
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Share one concurrency limit between calls made from different places
+ *
+ * Unlike mapWithConcurrency, the limit holds across nested or separate maps,
+ * so calls started from several environments at once still queue for the same slots.
+ *
+ * @param {number} limit maximum number of calls in flight at once
+ * @returns {function(function(): Promise<*>): Promise<*>} runs a call once a slot is free
+ */
+function createLimiter(limit) {
+  const max = Math.max(1, limit);
+  const queue = [];
+  let active = 0;
+
+  return async fn => {
+    if (active < max) {
+      active++;
+    } else {
+      await new Promise(resolve => queue.push(resolve));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      // Hand the slot straight to the next waiting call so a new caller can't take it first
+      if (queue.length > 0) {
+        queue.shift()();
+      } else {
+        active--;
+      }
+    }
+  };
+}
+
+/**
+ * Parse a Retry-After header, which is either a number of seconds or an HTTP date
+ *
+ * @returns {number|null} milliseconds to wait, or null when the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Limit the number of in-flight requests per API host
+ *
+ * Each host has its own queue and limit. A host can be paused, e.g. after
+ * a 429 response, and no new requests to it start until the pause ends.
+ */
+class HostLimiter {
+  /**
+   * @param {object} limits maximum concurrent requests keyed by host name
+   * @param {number} defaultLimit limit for hosts not listed in `limits`
+   */
+  constructor(limits, defaultLimit) {
+    this.limits = limits;
+    this.defaultLimit = Math.max(1, defaultLimit);
+    this.hosts = new Map();
+  }
+
+  host(name) {
+    if (!this.hosts.has(name)) {
+      this.hosts.set(name, {
+        limit: Math.max(1, this.limits[name] || this.defaultLimit),
+        active: 0,
+        queue: [],
+        pausedUntil: 0,
+        timer: null
+      });
+    }
+    return this.hosts.get(name);
+  }
+
+  /**
+   * Wait for a free slot on a host
+   */
+  acquire(name) {
+    const host = this.host(name);
+    return new Promise(resolve => {
+      host.queue.push(resolve);
+      this.drain(name);
+    });
+  }
+
+  /**
+   * Give back a slot taken with acquire
+   */
+  release(name) {
+    const host = this.host(name);
+    host.active = Math.max(0, host.active - 1);
+    this.drain(name);
+  }
+
+  /**
+   * Hold back new requests to a host for a period
+   */
+  pause(name, ms) {
+    const host = this.host(name);
+    host.pausedUntil = Math.max(host.pausedUntil, Date.now() + ms);
+    this.drain(name);
+  }
+
+  drain(name) {
+    const host = this.host(name);
+    const wait = host.pausedUntil - Date.now();
+
+    if (wait > 0) {
+      if (!host.timer) {
+        host.timer = setTimeout(() => {
+          host.timer = null;
+          this.drain(name);
+        }, wait);
+      }
+      return;
+    }
+
+    while (host.active < host.limit && host.queue.length > 0) {
+      host.active++;
+      host.queue.shift()();
+    }
+  }
+}
+
+/**
+ * Route every request of an axios instance through a host limiter
+ *
+ * A 429 response pauses the host for the Retry-After period (or `defaultRetryAfterMs`)
+ * so that no other request to it starts in the meantime. Retrying the request itself
+ * is left to the retry layer attached after this one.
+ *
+ * @param {object} instance axios instance
+ * @param {HostLimiter} limiter
+ * @param {function(object): string} classify returns the host name for a request config
+ */
+function attachHostLimiter(instance, limiter, classify, { defaultRetryAfterMs = 5000, log = () => {} } = {}) {
+  instance.interceptors.request.use(async config => {
+    config.limiterHost = classify(config);
+    await limiter.acquire(config.limiterHost);
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    response => {
+      limiter.release(response.config.limiterHost);
+      return response;
+    },
+    error => {
+      const config = error.config;
+      if (!config || !config.limiterHost) {
+        throw error;
+      }
+      limiter.release(config.limiterHost);
+
+      if (error.response && error.response.status === 429) {
+        const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+        const wait = retryAfter !== null ? retryAfter : defaultRetryAfterMs;
+        log(`Rate limited by ${config.limiterHost} API, pausing requests for ${Math.ceil(wait / 1000)}s`);
+        limiter.pause(config.limiterHost, wait);
+      }
+
+      throw error;
+    }
+  );
+}
+
+module.exports = {
+  HostLimiter,
+  attachHostLimiter,
+  createLimiter,
+  mapWithConcurrency,
+  parseRetryAfter
+};
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+
+// RFC 4180 ends records with CRLF
+const LINE_ENDING = '\r\n';
+
+// Byte order mark that makes Excel read the file as UTF-8
+const BOM = '\ufeff';
+
+// Column entry that stands for all of a report's default columns
+const ALL_COLUMNS = '*';
+
+/**
+ * Read a delimiter setting; "tab" and "\t" are accepted for tab-separated files
+ */
+function parseDelimiter(value) {
+  const delimiter = value === 'tab' || value === '\\t' ? '\t' : String(value);
+  if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`Invalid CSV delimiter "${value}"; expected a single character other than a quote or line break`);
+  }
+  return delimiter;
+}
+
+/**
+ * Format one field, quoting it when it contains the delimiter, a quote or a line
+ * break and doubling any quotes inside it (RFC 4180)
+ */
+function escapeCsvField(value, delimiter = ',') {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a table as CSV
+ *
+ * @param {string[]} headers
+ * @param {Array<Array<string|number|null>>} rows empty cells are null
+ * @param {{delimiter?: string, bom?: boolean}} [options]
+ * @returns {string}
+ */
+function formatCsv(headers, rows, { delimiter = ',', bom = false } = {}) {
+  const lines = [headers, ...rows].map(row => row.map(value => escapeCsvField(value, delimiter)).join(delimiter));
+  return (bom ? BOM : '') + lines.join(LINE_ENDING) + LINE_ENDING;
+}
+
+/**
+ * Look up a nested field by a dotted path such as "flowAnalysis.source"
+ *
+ * Objects and arrays are returned as JSON, so every value fits in one cell.
+ */
+function getField(record, fieldPath) {
+  const value = fieldPath.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), record);
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Validate the column sets configured for each report
+ *
+ * Each report lists its columns in order. An entry is the header of one of the
+ * report's default columns, "*" for all of them, a dotted path to a field of the
+ * report's records, or {header, field} to give such a field its own header.
+ *
+ * @param {object} raw e.g. {application: ['*', 'flowAnalysis.source', {header: 'JAR Source', field: 'jarInfo.method'}]}
+ * @param {string[]} reports report names that accept a column set
+ * @param {string} source where the columns came from, for messages
+ */
+function normalizeCsvColumns(raw, reports, source) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`CSV columns in ${source} must be an object with a list of columns per report`);
+  }
+
+  const columns = {};
+  Object.entries(raw).forEach(([report, entries]) => {
+    if (!reports.includes(report)) {
+      throw new Error(`Unknown report "${report}" in ${source}; expected one of ${reports.join(', ')}`);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`Columns for report "${report}" in ${source} must be a non-empty list`);
+    }
+    columns[report] = entries.map(entry => {
+      if (typeof entry === 'string' && entry.trim()) {
+        return entry.trim();
+      }
+      if (entry && typeof entry.field === 'string' && entry.field.trim()) {
+        return { header: String(entry.header || entry.field), field: entry.field.trim() };
+      }
+      throw new Error(`Invalid column ${JSON.stringify(entry)} for report "${report}" in ${source}; expected a header, a field path or {header, field}`);
+    });
+  });
+
+  return columns;
+}
+
+/**
+ * Resolve a report's configured columns against its default columns
+ *
+ * @param {Array<{header: string, value: Function}>} defaults columns in their default order
+ * @param {Array<string|object>|undefined} entries from normalizeCsvColumns, or undefined for the defaults
+ * @param {Function} recordOf picks the object that field paths are looked up in from a row's context
+ * @returns {Array<{header: string, value: Function}>}
+ */
+function selectColumns(defaults, entries, recordOf) {
+  if (!entries) {
+    return defaults;
+  }
+
+  const fieldColumn = (header, field) => ({ header, value: context => getField(recordOf(context), field) });
+
+  return entries.flatMap(entry => {
+    if (typeof entry !== 'string') {
+      return [fieldColumn(entry.header, entry.field)];
+    }
+    if (entry === ALL_COLUMNS) {
+      return defaults;
+    }
+    const column = defaults.find(candidate => candidate.header.toLowerCase() === entry.toLowerCase());
+    return [column || fieldColumn(entry, entry)];
+  });
+}
+
+/**
+ * Build the headers and rows of a table from its columns and the context of each row
+ */
+function buildTable(columns, contexts) {
+  return {
+    headers: columns.map(column => column.header),
+    rows: contexts.map(context => columns.map(column => column.value(context)))
+  };
+}
+
+/**
+ * Read a JSON file of column sets per report
+ */
+function loadCsvColumnsFile(filePath, reports) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`CSV columns file ${filePath} does not exist`);
+  }
+
+  try {
+    return normalizeCsvColumns(JSON.parse(fs.readFileSync(filePath, 'utf8')), reports, filePath);
+  } catch (error) {
+    throw new Error(`Unable to read CSV columns file ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  buildTable,
+  escapeCsvField,
+  formatCsv,
+  getField,
+  loadCsvColumnsFile,
+  normalizeCsvColumns,
+  parseDelimiter,
+  selectColumns
+};
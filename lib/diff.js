@@ -0,0 +1,201 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { sameFilters } = require('./filters');
+
+/**
+ * Index the applications of an inventory by business group, environment and domain
+ */
+function indexApplications(inventory) {
+  const index = new Map();
+
+  inventory.businessGroups.forEach(group => {
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        index.set(`${group.id}/${env.id}/${app.domain}`, {
+          businessGroupId: group.id,
+          businessGroup: group.name,
+          environment: env.name,
+          isProduction: env.isProduction,
+          app
+        });
+      });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Monthly messages of an application in a snapshot: 0 when it isn't there, null when its volume is unknown
+ */
+function monthlyMessages(entry) {
+  if (!entry) {
+    return 0;
+  }
+
+  const messages = entry.app.messageAnalysis?.estimatedMonthlyMessages;
+  return messages === undefined ? null : messages;
+}
+
+/**
+ * Identify the deployed artifact; a different value means the application was redeployed
+ */
+function deploymentSignature(app) {
+  return JSON.stringify([app.fileName || null, app.lastUpdateTime || null, app.muleVersion || null]);
+}
+
+/**
+ * Classify the change of one application between snapshots
+ *
+ * Redeployments take precedence over flow and message changes, which are
+ * reported alongside in either case.
+ */
+function classifyChange(old, current, flowDelta, messagesChanged) {
+  if (!old) {
+    return 'added';
+  }
+  if (!current) {
+    return 'removed';
+  }
+  if (deploymentSignature(old.app) !== deploymentSignature(current.app)) {
+    return 'redeployed';
+  }
+  if (flowDelta !== 0 || messagesChanged) {
+    return 'changed';
+  }
+  return 'unchanged';
+}
+
+function countChanges(applications) {
+  return {
+    added: applications.filter(app => app.change === 'added').length,
+    removed: applications.filter(app => app.change === 'removed').length,
+    redeployed: applications.filter(app => app.change === 'redeployed').length,
+    changed: applications.filter(app => app.change === 'changed').length,
+    unknownMessageChanges: applications.filter(app => app.messageDelta === null).length
+  };
+}
+
+/**
+ * Total the application changes for each business group
+ */
+function summarizeBusinessGroups(applications) {
+  const groups = new Map();
+
+  applications.forEach(app => {
+    if (!groups.has(app.businessGroupId)) {
+      groups.set(app.businessGroupId, {
+        businessGroupId: app.businessGroupId,
+        businessGroup: app.businessGroup,
+        applications: []
+      });
+    }
+    groups.get(app.businessGroupId).applications.push(app);
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const sum = field => group.applications.reduce((total, app) => total + app[field], 0);
+    // Messages are totaled only over applications whose volume is known in both snapshots
+    const sumMessages = field => group.applications
+      .filter(app => app.messageDelta !== null)
+      .reduce((total, app) => total + app[field], 0);
+
+    return {
+      businessGroupId: group.businessGroupId,
+      businessGroup: group.businessGroup,
+      applicationsBefore: group.applications.filter(app => app.change !== 'added').length,
+      applicationsAfter: group.applications.filter(app => app.change !== 'removed').length,
+      ...countChanges(group.applications),
+      flowsBefore: sum('flowsBefore'),
+      flowsAfter: sum('flowsAfter'),
+      flowDelta: sum('flowDelta'),
+      messagesBefore: sumMessages('messagesBefore'),
+      messagesAfter: sumMessages('messagesAfter'),
+      messageDelta: sumMessages('messageDelta')
+    };
+  });
+}
+
+/**
+ * Compare two inventory snapshots application by application
+ *
+ * An application whose monthly messages are unknown in either snapshot has a
+ * null messageDelta and is left out of the message totals.
+ *
+ * @param {object} before the older complete-billable-consumption.json
+ * @param {object} after the newer complete-billable-consumption.json
+ * @returns {{from: string, to: string, filtersChanged: boolean, applications: object[], businessGroups: object[], totals: object}}
+ */
+function diffInventories(before, after) {
+  const beforeApps = indexApplications(before);
+  const afterApps = indexApplications(after);
+  const keys = Array.from(new Set([...beforeApps.keys(), ...afterApps.keys()])).sort();
+
+  const applications = keys.map(key => {
+    const old = beforeApps.get(key);
+    const current = afterApps.get(key);
+    const entry = current || old;
+
+    const flowsBefore = old ? old.app.flowAnalysis?.estimatedFlows || 0 : 0;
+    const flowsAfter = current ? current.app.flowAnalysis?.estimatedFlows || 0 : 0;
+    const messagesBefore = monthlyMessages(old);
+    const messagesAfter = monthlyMessages(current);
+    // A volume that is unknown on either side has no numeric change
+    const messageDelta = messagesBefore === null || messagesAfter === null ? null : messagesAfter - messagesBefore;
+    const messagesChanged = messageDelta === null ? (messagesBefore === null) !== (messagesAfter === null) : messageDelta !== 0;
+
+    return {
+      businessGroupId: entry.businessGroupId,
+      businessGroup: entry.businessGroup,
+      environment: entry.environment,
+      isProduction: entry.isProduction,
+      domain: entry.app.domain,
+      change: classifyChange(old, current, flowsAfter - flowsBefore, messagesChanged),
+      artifactBefore: old ? old.app.fileName || null : null,
+      artifactAfter: current ? current.app.fileName || null : null,
+      flowsBefore,
+      flowsAfter,
+      flowDelta: flowsAfter - flowsBefore,
+      // Where each count came from, so a change caused by a JAR becoming available is visible
+      flowSourceBefore: old ? old.app.flowAnalysis?.source || null : null,
+      flowSourceAfter: current ? current.app.flowAnalysis?.source || null : null,
+      messagesBefore,
+      messagesAfter,
+      messageDelta
+    };
+  });
+
+  const totals = {
+    ...countChanges(applications),
+    flowDelta: applications.reduce((sum, app) => sum + app.flowDelta, 0),
+    messageDelta: applications.reduce((sum, app) => sum + (app.messageDelta || 0), 0)
+  };
+
+  return {
+    from: before.timestamp,
+    to: after.timestamp,
+    // Snapshots taken with different filters cover different parts of the organization
+    filtersChanged: !sameFilters(before.filters, after.filters),
+    applications,
+    businessGroups: summarizeBusinessGroups(applications),
+    totals
+  };
+}
+
+module.exports = {
+  diffInventories
+};
@@ -0,0 +1,207 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const { linearRegression } = require('./stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average month, used to turn growth per millisecond into growth per month
+const MONTH_MS = 365.25 / 12 * DAY_MS;
+
+function checkAllotment(value, label, source) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`Invalid ${label} entitlement "${value}" in ${source}`);
+  }
+  return number;
+}
+
+/**
+ * Validate entitlements from a file or config: total flows, messages per year and per-BG allocations
+ *
+ * @param {object} raw e.g. {flows: 200, messagesPerYear: 2e9, businessGroups: {Sales: {flows: 50}}}
+ * @param {string} source where the entitlements came from, for messages and reports
+ * @returns {{source: string, flows: number|null, messagesPerYear: number|null, businessGroups: object}}
+ */
+function normalizeEntitlements(raw, source) {
+  const businessGroups = {};
+
+  Object.entries(raw.businessGroups || {}).forEach(([group, allocation]) => {
+    businessGroups[group] = {
+      flows: checkAllotment(allocation.flows, `${group} flows`, source),
+      messagesPerYear: checkAllotment(allocation.messagesPerYear, `${group} messagesPerYear`, source)
+    };
+  });
+
+  return {
+    source,
+    flows: checkAllotment(raw.flows, 'flows', source),
+    messagesPerYear: checkAllotment(raw.messagesPerYear, 'messagesPerYear', source),
+    businessGroups
+  };
+}
+
+/**
+ * Read entitlements from a JSON file
+ */
+function loadEntitlementsFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Entitlements file ${filePath} does not exist`);
+  }
+
+  try {
+    return normalizeEntitlements(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+  } catch (error) {
+    throw new Error(`Unable to read entitlements file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Find an allotment in the organization record, which lists either a number or {assigned}
+ */
+function organizationAllotment(entitlements, names) {
+  for (const name of names) {
+    const value = entitlements[name];
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value && typeof value.assigned === 'number') {
+      return value.assigned;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read flow and message allotments from the entitlements of the organization record
+ *
+ * @returns {object|null} null when the organization lists neither allotment
+ */
+function entitlementsFromOrganization(orgEntitlements) {
+  if (!orgEntitlements) {
+    return null;
+  }
+
+  const flows = organizationAllotment(orgEntitlements, ['flows', 'muleFlows']);
+  const messagesPerYear = organizationAllotment(orgEntitlements, ['messages', 'muleMessages', 'messagesPerYear']);
+
+  if (flows === null && messagesPerYear === null) {
+    return null;
+  }
+
+  return { source: 'organization entitlements', flows, messagesPerYear, businessGroups: {} };
+}
+
+/**
+ * Growth of a value over time, in units per millisecond
+ *
+ * @param {Array<{time: number, value: number}>} points
+ * @returns {number|null} null with fewer than two distinct times
+ */
+function growthRate(points) {
+  const fit = linearRegression(points.map(point => ({ x: point.time, y: point.value })));
+  return fit ? fit.slope : null;
+}
+
+/**
+ * Compare one used amount against its allotment
+ */
+function compareMetric(scope, metric, entitled, used, points, now) {
+  // Snapshots taken minutes apart say nothing about monthly growth
+  const times = points.map(point => point.time);
+  const span = times.length > 0 ? Math.max(...times) - Math.min(...times) : 0;
+  const slope = span >= DAY_MS ? growthRate(points) : null;
+  let exceedDate = null;
+
+  if (used > entitled) {
+    exceedDate = 'Exceeded';
+  } else if (slope !== null && slope > 0) {
+    exceedDate = new Date(now + (entitled - used) / slope).toISOString().slice(0, 10);
+  }
+
+  return {
+    scope,
+    metric,
+    entitled,
+    used,
+    utilization: entitled > 0 ? used / entitled * 100 : null,
+    headroom: entitled - used,
+    growthPerMonth: slope === null ? null : slope * MONTH_MS,
+    exceedDate
+  };
+}
+
+/**
+ * Compare usage against entitlements for the organization and each allocated business group
+ *
+ * Messages are compared per year, from twelve times the estimated monthly volume.
+ * Growth comes from the trend across the history snapshots; without snapshots
+ * spanning at least a day no exceed date is projected.
+ *
+ * @param {object} usage {timestamp, organization: {flows, monthlyMessages}, businessGroups: [{id, name, flows, monthlyMessages}]}
+ * @param {object} entitlements from normalizeEntitlements or entitlementsFromOrganization
+ * @param {object[]} history earlier usage in the same shape, any order
+ * @returns {object[]} one row per scope and metric
+ */
+function compareEntitlements(usage, entitlements, history) {
+  const now = Date.parse(usage.timestamp);
+  const snapshots = [...history.filter(entry => entry.timestamp !== usage.timestamp), usage];
+  const rows = [];
+
+  const addRows = (scope, allotment, current, totalsOf) => {
+    const points = field => snapshots
+      .map(entry => ({ time: Date.parse(entry.timestamp), totals: totalsOf(entry) }))
+      .filter(point => point.totals)
+      .map(point => ({ time: point.time, value: point.totals[field] }));
+
+    if (allotment.flows !== null && allotment.flows !== undefined) {
+      rows.push(compareMetric(scope, 'Flows', allotment.flows, current.flows, points('flows'), now));
+    }
+    if (allotment.messagesPerYear !== null && allotment.messagesPerYear !== undefined) {
+      const yearly = points('monthlyMessages').map(point => ({ time: point.time, value: point.value * 12 }));
+      rows.push(compareMetric(scope, 'Messages per Year', allotment.messagesPerYear, current.monthlyMessages * 12, yearly, now));
+    }
+  };
+
+  addRows('Organization', entitlements, usage.organization, entry => entry.organization);
+
+  Object.entries(entitlements.businessGroups).forEach(([key, allocation]) => {
+    // Allocations are keyed by business group name or ID
+    const findGroup = entry => entry.businessGroups.find(group =>
+      group.id === key || String(group.name).toLowerCase() === key.toLowerCase());
+    const group = findGroup(usage);
+
+    addRows(
+      group ? group.name : key,
+      allocation,
+      group || { flows: 0, monthlyMessages: 0 },
+      findGroup
+    );
+  });
+
+  return rows;
+}
+
+module.exports = {
+  compareEntitlements,
+  entitlementsFromOrganization,
+  loadEntitlementsFile,
+  normalizeEntitlements
+};
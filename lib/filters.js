@@ -0,0 +1,215 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const ENVIRONMENT_TYPES = ['production', 'sandbox', 'design'];
+
+/**
+ * Build the filter settings for a run from the resolved configuration
+ *
+ * The result is recorded in the inventory so every report shows what was left out.
+ */
+function buildFilters(config) {
+  const filters = {
+    businessGroups: config.businessGroups || [],
+    excludeBusinessGroups: config.excludeBusinessGroups || [],
+    includeChildBusinessGroups: Boolean(config.includeChildBusinessGroups),
+    environments: config.environments || [],
+    excludeEnvironments: config.excludeEnvironments || [],
+    environmentTypes: (config.environmentTypes || []).map(type => type.toLowerCase()),
+    excludeEnvironmentTypes: (config.excludeEnvironmentTypes || []).map(type => type.toLowerCase()),
+    applications: config.applications || [],
+    excludeApplications: config.excludeApplications || []
+  };
+
+  [...filters.environmentTypes, ...filters.excludeEnvironmentTypes].forEach(type => {
+    if (!ENVIRONMENT_TYPES.includes(type)) {
+      throw new Error(`Unknown environment type "${type}"; expected one of ${ENVIRONMENT_TYPES.join(', ')}`);
+    }
+  });
+
+  // Compile patterns up front so a bad regex fails before any API calls
+  [...filters.applications, ...filters.excludeApplications].forEach(compilePattern);
+
+  return filters;
+}
+
+/**
+ * Check whether two inventories were collected with the same filters
+ *
+ * Inventories saved before filters were recorded count as unfiltered.
+ */
+function sameFilters(a, b) {
+  const normalize = filters => JSON.stringify({ ...buildFilters({}), ...filters });
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Compile an application pattern: /regex/flags, or a case-insensitive glob using * and ?
+ */
+function compilePattern(pattern) {
+  if (pattern.startsWith('/')) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (!regexMatch) {
+      throw new Error(`Invalid application pattern ${pattern}: regular expressions are written as /pattern/flags`);
+    }
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(`Invalid application pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesNameOrId(item, values) {
+  return values.some(value =>
+    value === item.id || value.toLowerCase() === String(item.name).toLowerCase());
+}
+
+/**
+ * Select business groups by name or ID, optionally including every descendant of a match
+ *
+ * @param {Array<{id: string, name: string, parentId: string}>} groups flattened hierarchy from flattenBusinessGroups
+ */
+function selectBusinessGroups(groups, filters) {
+  const byId = new Map(groups.map(group => [group.id, group]));
+
+  // A group matches directly, or through its ancestors when children are included
+  const matchesInHierarchy = (group, values) => {
+    let current = group;
+    while (current) {
+      if (matchesNameOrId(current, values)) {
+        return true;
+      }
+      if (!filters.includeChildBusinessGroups) {
+        return false;
+      }
+      current = current.parentId ? byId.get(current.parentId) : null;
+    }
+    return false;
+  };
+
+  return groups.filter(group => {
+    if (filters.businessGroups.length > 0 && !matchesInHierarchy(group, filters.businessGroups)) {
+      return false;
+    }
+    return !matchesInHierarchy(group, filters.excludeBusinessGroups);
+  });
+}
+
+/**
+ * The type used for environment type filters; older environments without a type are classified by isProduction
+ */
+function environmentType(env) {
+  if (env.type) {
+    return String(env.type).toLowerCase();
+  }
+  return env.isProduction ? 'production' : 'sandbox';
+}
+
+/**
+ * Check an environment against the name, ID and type filters
+ */
+function matchesEnvironment(env, filters) {
+  if (filters.environments.length > 0 && !matchesNameOrId(env, filters.environments)) {
+    return false;
+  }
+  if (matchesNameOrId(env, filters.excludeEnvironments)) {
+    return false;
+  }
+
+  const type = environmentType(env);
+  if (filters.environmentTypes.length > 0 && !filters.environmentTypes.includes(type)) {
+    return false;
+  }
+  return !filters.excludeEnvironmentTypes.includes(type);
+}
+
+/**
+ * Check an application domain against the glob and regex filters
+ */
+function matchesApplication(domain, filters) {
+  const include = filters.applications.map(compilePattern);
+  const exclude = filters.excludeApplications.map(compilePattern);
+
+  if (include.length > 0 && !include.some(pattern => pattern.test(domain))) {
+    return false;
+  }
+  return !exclude.some(pattern => pattern.test(domain));
+}
+
+/**
+ * Describe the applied filters as label/value pairs for reports
+ */
+function describeFilters(filters) {
+  if (!filters) {
+    return [];
+  }
+
+  const rows = [];
+  const children = filters.includeChildBusinessGroups ? ' (with child business groups)' : '';
+
+  if (filters.businessGroups.length > 0) {
+    rows.push(['Business Groups', filters.businessGroups.join('; ') + children]);
+  }
+  if (filters.excludeBusinessGroups.length > 0) {
+    rows.push(['Excluded Business Groups', filters.excludeBusinessGroups.join('; ') + children]);
+  }
+  if (filters.environments.length > 0) {
+    rows.push(['Environments', filters.environments.join('; ')]);
+  }
+  if (filters.excludeEnvironments.length > 0) {
+    rows.push(['Excluded Environments', filters.excludeEnvironments.join('; ')]);
+  }
+  if (filters.environmentTypes.length > 0) {
+    rows.push(['Environment Types', filters.environmentTypes.join('; ')]);
+  }
+  if (filters.excludeEnvironmentTypes.length > 0) {
+    rows.push(['Excluded Environment Types', filters.excludeEnvironmentTypes.join('; ')]);
+  }
+  if (filters.applications.length > 0) {
+    rows.push(['Applications', filters.applications.join('; ')]);
+  }
+  if (filters.excludeApplications.length > 0) {
+    rows.push(['Excluded Applications', filters.excludeApplications.join('; ')]);
+  }
+
+  if (rows.length === 0) {
+    rows.push(['Filters', 'None']);
+  }
+
+  return rows;
+}
+
+module.exports = {
+  ENVIRONMENT_TYPES,
+  buildFilters,
+  describeFilters,
+  matchesApplication,
+  matchesEnvironment,
+  sameFilters,
+  selectBusinessGroups
+};
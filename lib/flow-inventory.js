@@ -0,0 +1,122 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Readable names for the connectors that most often start flows, keyed by the last segment of their namespace URI
+const CONNECTOR_NAMES = {
+  http: 'HTTP listener',
+  jms: 'JMS',
+  vm: 'VM',
+  'anypoint-mq': 'Anypoint MQ',
+  amqp: 'AMQP',
+  kafka: 'Kafka',
+  file: 'File',
+  ftp: 'FTP',
+  sftp: 'SFTP',
+  email: 'Email',
+  salesforce: 'Salesforce',
+  db: 'Database',
+  websocket: 'WebSocket'
+};
+
+/**
+ * Describe what starts a flow, from the trigger recorded by the Mule XML analysis
+ */
+function describeTriggerType(flow) {
+  if (flow.apikit) {
+    return 'APIkit route';
+  }
+  if (flow.trigger === 'scheduler') {
+    return 'Scheduler';
+  }
+  if (!flow.trigger || flow.trigger === 'none') {
+    // Only reachable through flow-ref, so it could be a sub-flow
+    return 'Flow reference';
+  }
+
+  const [connector, operation] = flow.trigger.split(':');
+  return CONNECTOR_NAMES[connector] || `${connector} ${operation || ''}`.trim();
+}
+
+/**
+ * Message count of a flow metrics entry, or null when it has none
+ */
+function flowMessageCount(metric) {
+  const count = metric.messageCount && metric.messageCount.count;
+  return typeof count === 'number' ? count : null;
+}
+
+/**
+ * Join the flows parsed from an application's JAR with its per-flow message metrics
+ *
+ * A flow from the JAR without a metrics entry had no messages in the period when
+ * the application reports flow metrics at all; without flow metrics its traffic is
+ * unknown. Flows that only appear in the metrics are listed too, since they may come
+ * from a version of the application other than the analyzed JAR.
+ *
+ * @param {object} app an application from the inventory
+ * @returns {Array<{name: string, file: string|null, triggerType: string, billable: boolean|null, initialState: string|null, messages: number|null, neverInvoked: boolean|null, source: string}>}
+ */
+function buildFlowInventory(app) {
+  const flowList = app.flowAnalysis?.details?.flowList || [];
+  const metrics = Array.isArray(app.monitoringData?.flowMetrics) ? app.monitoringData.flowMetrics : [];
+  const hasFlowMetrics = metrics.some(metric => flowMessageCount(metric) !== null);
+
+  const counts = new Map();
+  metrics.forEach(metric => {
+    const name = metric.name || metric.flowName || metric.flow;
+    const count = flowMessageCount(metric);
+    if (name && count !== null) {
+      counts.set(name, (counts.get(name) || 0) + count);
+    }
+  });
+
+  const flows = flowList.map(flow => {
+    const measured = counts.has(flow.name);
+    const messages = measured ? counts.get(flow.name) : hasFlowMetrics ? 0 : null;
+    counts.delete(flow.name);
+
+    return {
+      name: flow.name,
+      file: flow.file,
+      triggerType: describeTriggerType(flow),
+      billable: true,
+      initialState: flow.initialState || 'started',
+      messages,
+      neverInvoked: messages === null ? null : messages === 0,
+      source: measured ? 'JAR and metrics' : 'JAR'
+    };
+  });
+
+  counts.forEach((messages, name) => {
+    flows.push({
+      name,
+      file: null,
+      triggerType: 'Unknown',
+      billable: null,
+      initialState: null,
+      messages,
+      neverInvoked: messages === 0,
+      source: 'Metrics'
+    });
+  });
+
+  return flows;
+}
+
+module.exports = {
+  buildFlowInventory,
+  describeTriggerType
+};
@@ -0,0 +1,264 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const { mean } = require('./stats');
+
+/*
+ * Rules for estimating flows from an application's name when its JAR can't be analyzed:
+ *
+ * - The first base rule whose pattern matches sets the starting count, otherwise defaultFlows
+ * - Every matching modifier adds to it, but only the first match within a modifier group
+ * - Each worker beyond the first, and each tenth of a vCore above 0.1, adds flows up to a limit
+ * - The result is kept between minFlows and maxFlows
+ *
+ * Patterns are case-insensitive substrings, or regular expressions written as "/pattern/".
+ */
+const DEFAULT_FLOW_RULES = {
+  defaultFlows: 2,
+  minFlows: 1,
+  maxFlows: 20,
+  base: [
+    // Experience APIs tend to have more flows (routing, API implementations)
+    { name: 'EAPI', patterns: ['eapi', 'experience'], flows: 5 },
+    // Process APIs often have complex orchestration
+    { name: 'PAPI', patterns: ['papi', 'process'], flows: 7 },
+    // System APIs can be simpler with fewer flows
+    { name: 'SAPI', patterns: ['sapi', 'system'], flows: 3 }
+  ],
+  modifiers: [
+    { name: 'Salesforce', patterns: ['salesforce', 'sfdc'], add: 2, group: 'integration' },
+    { name: 'Database', patterns: ['onbase', 'database'], add: 1, group: 'integration' },
+    { name: 'Splunk', patterns: ['splunk'], add: 1, group: 'integration' }
+  ],
+  workers: {
+    flowsPerAdditionalWorker: 1,
+    maxForWorkers: 3,
+    flowsPerTenthVCore: 1,
+    maxForSize: 3
+  },
+  calibration: {
+    // The part of the application name that groups similar applications
+    prefixPattern: '^[^-_.]+',
+    minApplications: 3
+  }
+};
+
+function checkNumber(value, label, source) {
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`Invalid ${label} "${value}" in ${source}`);
+  }
+  return number;
+}
+
+function compilePattern(pattern, source) {
+  const regex = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+  try {
+    return regex ? new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`) : null;
+  } catch (error) {
+    throw new Error(`Invalid pattern "${pattern}" in ${source}: ${error.message}`);
+  }
+}
+
+function normalizeRule(rule, field, source) {
+  if (!rule.name || !Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+    throw new Error(`Each rule in ${source} needs a name and a list of patterns`);
+  }
+
+  const patterns = rule.patterns.map(pattern => ({
+    text: String(pattern).toLowerCase(),
+    regex: compilePattern(String(pattern), source)
+  }));
+
+  return {
+    name: rule.name,
+    patterns: rule.patterns.map(String),
+    [field]: checkNumber(rule[field], `${field} for rule ${rule.name}`, source),
+    group: rule.group || null,
+    matches: name => patterns.some(pattern => (pattern.regex ? pattern.regex.test(name) : name.includes(pattern.text)))
+  };
+}
+
+/**
+ * Validate flow estimation rules, filling in anything not given from the defaults
+ *
+ * @param {object} raw e.g. {base: [{name: 'Orders', patterns: ['ord-'], flows: 4}], maxFlows: 30}
+ * @param {string} source where the rules came from, for messages and reports
+ */
+function normalizeFlowRules(raw, source) {
+  const rules = { ...DEFAULT_FLOW_RULES, ...raw };
+  const workers = { ...DEFAULT_FLOW_RULES.workers, ...raw.workers };
+  const calibration = { ...DEFAULT_FLOW_RULES.calibration, ...raw.calibration };
+
+  const normalized = {
+    source,
+    defaultFlows: checkNumber(rules.defaultFlows, 'defaultFlows', source),
+    minFlows: checkNumber(rules.minFlows, 'minFlows', source),
+    maxFlows: checkNumber(rules.maxFlows, 'maxFlows', source),
+    base: (rules.base || []).map(rule => normalizeRule(rule, 'flows', source)),
+    modifiers: (rules.modifiers || []).map(rule => normalizeRule(rule, 'add', source)),
+    workers: {
+      flowsPerAdditionalWorker: checkNumber(workers.flowsPerAdditionalWorker, 'workers.flowsPerAdditionalWorker', source),
+      maxForWorkers: checkNumber(workers.maxForWorkers, 'workers.maxForWorkers', source),
+      flowsPerTenthVCore: checkNumber(workers.flowsPerTenthVCore, 'workers.flowsPerTenthVCore', source),
+      maxForSize: checkNumber(workers.maxForSize, 'workers.maxForSize', source)
+    },
+    calibration: {
+      prefixPattern: String(calibration.prefixPattern),
+      minApplications: Math.max(1, Math.floor(checkNumber(calibration.minApplications, 'calibration.minApplications', source)))
+    }
+  };
+
+  if (normalized.minFlows > normalized.maxFlows) {
+    throw new Error(`minFlows is larger than maxFlows in ${source}`);
+  }
+  try {
+    normalized.calibration.prefix = new RegExp(normalized.calibration.prefixPattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid calibration.prefixPattern in ${source}: ${error.message}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Read flow estimation rules from a JSON file
+ */
+function loadFlowRulesFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Flow rules file ${filePath} does not exist`);
+  }
+
+  try {
+    return normalizeFlowRules(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+  } catch (error) {
+    throw new Error(`Unable to read flow rules file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate an application's flows from its file name, or its domain without one
+ *
+ * @param {object|null} appDetails application details with fileName, domain and workers
+ * @param {object} rules from normalizeFlowRules
+ * @returns {{estimatedFlows: number, confidence: string, source: string}}
+ */
+function estimateFlowsFromRules(appDetails, rules) {
+  const clamp = flows => Math.max(rules.minFlows, Math.min(rules.maxFlows, flows));
+
+  if (!appDetails) {
+    return {
+      estimatedFlows: clamp(rules.defaultFlows),
+      confidence: 'low',
+      source: 'Default estimate (no metadata)'
+    };
+  }
+
+  let estimatedFlows = rules.defaultFlows;
+  let source = 'Application metadata';
+
+  const field = appDetails.fileName ? 'filename' : 'domain';
+  const name = String(appDetails.fileName || appDetails.domain || '').toLowerCase();
+
+  if (name) {
+    const base = rules.base.find(rule => rule.matches(name));
+    if (base) {
+      estimatedFlows = base.flows;
+      source = `${base.name} ${field} pattern`;
+    }
+
+    const groups = new Set();
+    rules.modifiers.forEach(rule => {
+      if ((rule.group && groups.has(rule.group)) || !rule.matches(name)) {
+        return;
+      }
+      if (rule.group) {
+        groups.add(rule.group);
+      }
+      estimatedFlows += rule.add;
+      source += ` + ${rule.name} pattern`;
+    });
+  }
+
+  // Use worker count/size as a hint about application complexity
+  if (appDetails.workers) {
+    if (appDetails.workers.amount > 1) {
+      estimatedFlows += Math.min(rules.workers.maxForWorkers, (appDetails.workers.amount - 1) * rules.workers.flowsPerAdditionalWorker);
+      source += ' + Multiple workers';
+    }
+
+    if (appDetails.workers.type && appDetails.workers.type.weight > 0.1) {
+      estimatedFlows += Math.min(rules.workers.maxForSize, Math.round(appDetails.workers.type.weight * 10 * rules.workers.flowsPerTenthVCore));
+      source += ' + Larger worker size';
+    }
+  }
+
+  return {
+    estimatedFlows: clamp(estimatedFlows),
+    confidence: 'low',
+    source
+  };
+}
+
+/**
+ * The prefix that groups an application with similar ones for calibration
+ */
+function namePrefix(name, rules) {
+  const match = rules.calibration.prefix.exec(String(name || '').toLowerCase());
+  return match ? match[0] : null;
+}
+
+/**
+ * Learn the average flow count of each name prefix from applications whose flows were counted
+ *
+ * Prefixes with fewer than `calibration.minApplications` applications are left
+ * out, so a single large application doesn't set the estimate for its neighbours.
+ *
+ * @param {Array<{name: string, flows: number}>} samples applications with high-confidence XML analysis
+ * @param {object} rules from normalizeFlowRules
+ * @returns {Map<string, {applications: number, averageFlows: number}>}
+ */
+function calibrateFlowPrefixes(samples, rules) {
+  const byPrefix = new Map();
+  samples.forEach(sample => {
+    const prefix = namePrefix(sample.name, rules);
+    if (prefix) {
+      byPrefix.set(prefix, [...(byPrefix.get(prefix) || []), sample.flows]);
+    }
+  });
+
+  const prefixes = new Map();
+  byPrefix.forEach((flows, prefix) => {
+    if (flows.length >= rules.calibration.minApplications) {
+      prefixes.set(prefix, {
+        applications: flows.length,
+        averageFlows: Math.max(rules.minFlows, Math.min(rules.maxFlows, Math.round(mean(flows))))
+      });
+    }
+  });
+
+  return prefixes;
+}
+
+module.exports = {
+  DEFAULT_FLOW_RULES,
+  calibrateFlowPrefixes,
+  estimateFlowsFromRules,
+  loadFlowRulesFile,
+  namePrefix,
+  normalizeFlowRules
+};
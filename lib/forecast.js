@@ -0,0 +1,397 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { sameFilters } = require('./filters');
+const { linearRegression, mean } = require('./stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two-sided 95% interval
+const Z_95 = 1.96;
+
+// Full calendar months of history needed to fit monthly totals instead of days
+const MIN_MONTHS_FOR_MONTHLY_TREND = 3;
+
+// Two full years are needed before month-of-year effects can be told apart from noise
+const MIN_MONTHS_FOR_SEASONALITY = 24;
+
+const monthIndex = month => Number(month.slice(0, 4)) * 12 + Number(month.slice(5, 7)) - 1;
+const monthName = index => `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+const daysInMonth = index => new Date(Date.UTC(Math.floor(index / 12), index % 12 + 1, 0)).getUTCDate();
+const dayNumber = date => Math.round(Date.parse(date) / DAY_MS);
+
+/**
+ * Fit a least-squares line and measure the scatter around it
+ *
+ * @returns {object|null} null with fewer than two distinct x values
+ */
+function fitLine(points) {
+  const fit = linearRegression(points);
+  if (!fit) {
+    return null;
+  }
+
+  const meanX = mean(points.map(point => point.x));
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const sse = points.reduce((sum, point) => sum + (point.y - (fit.intercept + fit.slope * point.x)) ** 2, 0);
+
+  return {
+    ...fit,
+    n: points.length,
+    meanX,
+    sxx,
+    // Residual standard deviation; no scatter can be measured from two points
+    sigma: points.length > 2 ? Math.sqrt(sse / (points.length - 2)) : 0
+  };
+}
+
+function predict(fit, x) {
+  return fit.intercept + fit.slope * x;
+}
+
+/**
+ * Merge daily series from several snapshots, later snapshots winning for days they share
+ *
+ * @param {Array<Array<{date: string, count: number}>>} seriesList oldest first
+ */
+function mergeDailySeries(seriesList) {
+  const days = new Map();
+  seriesList.forEach(series => {
+    (series || []).forEach(day => days.set(day.date, day.count));
+  });
+
+  return Array.from(days.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, count]) => ({ date, count }));
+}
+
+/**
+ * Total a daily series by calendar month, keeping only months covered every day
+ */
+function fullMonths(daily) {
+  const months = new Map();
+  daily.forEach(day => {
+    const month = day.date.slice(0, 7);
+    const entry = months.get(month) || { month, total: 0, days: 0 };
+    entry.total += day.count;
+    entry.days++;
+    months.set(month, entry);
+  });
+
+  return Array.from(months.values())
+    .filter(entry => entry.days === daysInMonth(monthIndex(entry.month)))
+    .map(entry => ({ index: monthIndex(entry.month), total: entry.total }));
+}
+
+/**
+ * Average ratio of actual to trend for each calendar month
+ */
+function seasonalIndices(months, fit) {
+  const ratios = Array.from({ length: 12 }, () => []);
+  months.forEach(month => {
+    const trend = predict(fit, month.index);
+    if (trend > 0) {
+      ratios[month.index % 12].push(month.total / trend);
+    }
+  });
+
+  return ratios.map(values => (values.length > 0 ? mean(values) : 1));
+}
+
+/**
+ * Choose and fit a message volume model for a daily series
+ *
+ * With at least three full months the monthly totals are fitted, with
+ * month-of-year seasonality once two years are available. Shorter histories
+ * fit the daily counts from the first day with messages.
+ *
+ * @param {Array<{date: string, count: number}>} daily merged daily series
+ * @returns {object|null} null when the series has no messages
+ */
+function fitMessageModel(daily) {
+  const firstActive = daily.findIndex(day => day.count > 0);
+  if (firstActive === -1) {
+    return null;
+  }
+  const active = daily.slice(firstActive);
+
+  const months = fullMonths(active);
+  if (months.length >= MIN_MONTHS_FOR_MONTHLY_TREND) {
+    const fit = fitLine(months.map(month => ({ x: month.index, y: month.total })));
+    const seasonal = months.length >= MIN_MONTHS_FOR_SEASONALITY ? seasonalIndices(months, fit) : null;
+    return {
+      type: seasonal ? 'monthly trend with seasonality' : 'monthly trend',
+      fit,
+      seasonal,
+      historyDays: active.length
+    };
+  }
+
+  const points = active.map(day => ({ x: dayNumber(day.date), y: day.count }));
+  const fit = fitLine(points);
+  if (!fit) {
+    // A single day of data: carry its volume forward
+    return {
+      type: 'flat',
+      fit: { intercept: points[0].y, slope: 0, n: 1, meanX: points[0].x, sxx: 0, sigma: 0 },
+      seasonal: null,
+      daily: true,
+      historyDays: active.length
+    };
+  }
+
+  return { type: 'daily trend', fit, seasonal: null, daily: true, historyDays: active.length };
+}
+
+/**
+ * Project monthly message totals with a 95% prediction interval
+ *
+ * @param {object} model from fitMessageModel
+ * @param {number[]} months month indices to project
+ * @returns {Array<{month: string, value: number, sigma: number}>}
+ */
+function projectMessages(model, months) {
+  const { fit } = model;
+
+  return months.map(index => {
+    if (model.daily) {
+      // The month total is the sum of its predicted days
+      const days = daysInMonth(index);
+      const firstDay = Math.round(Date.UTC(Math.floor(index / 12), index % 12, 1) / DAY_MS);
+      const midDay = firstDay + (days - 1) / 2;
+      const trendError = fit.n > 0 && fit.sxx > 0 ? 1 / fit.n + (midDay - fit.meanX) ** 2 / fit.sxx : 0;
+
+      return {
+        month: monthName(index),
+        value: days * predict(fit, midDay),
+        sigma: fit.sigma * Math.sqrt(days + days * days * trendError)
+      };
+    }
+
+    const factor = model.seasonal ? model.seasonal[index % 12] : 1;
+    const trendError = fit.sxx > 0 ? 1 / fit.n + (index - fit.meanX) ** 2 / fit.sxx : 0;
+
+    return {
+      month: monthName(index),
+      value: factor * predict(fit, index),
+      sigma: factor * fit.sigma * Math.sqrt(1 + trendError)
+    };
+  });
+}
+
+/**
+ * Project billable flows from the counts recorded in each snapshot
+ *
+ * @param {Array<{time: number, value: number}>} history flow counts over time
+ * @param {number[]} months month indices to project, evaluated mid-month
+ * @returns {{type: string, projections: Array<{month: string, value: number, sigma: number}>}}
+ */
+function projectFlows(history, months) {
+  const points = history.map(point => ({ x: point.time / DAY_MS, y: point.value }));
+  const span = points.length > 0 ? Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x)) : 0;
+  const fit = span >= 1 ? fitLine(points) : null;
+  const latest = history.length > 0 ? history[history.length - 1].value : 0;
+
+  return {
+    type: fit ? 'snapshot trend' : 'flat',
+    projections: months.map(index => {
+      if (!fit) {
+        return { month: monthName(index), value: latest, sigma: 0 };
+      }
+      const midDay = Date.UTC(Math.floor(index / 12), index % 12, 15) / DAY_MS;
+      const trendError = 1 / fit.n + (midDay - fit.meanX) ** 2 / fit.sxx;
+      return {
+        month: monthName(index),
+        value: predict(fit, midDay),
+        sigma: fit.sigma * Math.sqrt(1 + trendError)
+      };
+    })
+  };
+}
+
+/**
+ * Turn projections into rounded values with 95% bounds, never below zero
+ */
+function withBounds(projection) {
+  const value = Math.max(0, projection.value);
+  return {
+    value: Math.round(value),
+    lower: Math.round(Math.max(0, projection.value - Z_95 * projection.sigma)),
+    upper: Math.round(Math.max(0, projection.value + Z_95 * projection.sigma))
+  };
+}
+
+/**
+ * Hold an application's current monthly estimate level when it has no message series
+ *
+ * A calibrated estimate carries its error band as the spread, so the bounds of each
+ * month match the band. An unknown volume has no projection and returns null.
+ */
+function projectCurrentEstimate(messageAnalysis, months) {
+  const estimate = messageAnalysis?.estimatedMonthlyMessages;
+  if (estimate === null || estimate === undefined) {
+    return null;
+  }
+
+  const band = messageAnalysis.errorBand;
+  const sigma = band ? Math.max(0, band.monthlyUpper - estimate) / Z_95 : 0;
+
+  return months.map(index => ({ month: monthName(index), value: estimate, sigma }));
+}
+
+/**
+ * Sum projections of independent series, combining their uncertainty
+ *
+ * Applications without a projection, because their volume is unknown, are left out.
+ */
+function sumProjections(allProjectionLists, months) {
+  const projectionLists = allProjectionLists.filter(list => list !== null);
+
+  return months.map((index, i) => ({
+    month: monthName(index),
+    value: projectionLists.reduce((sum, list) => sum + list[i].value, 0),
+    sigma: Math.sqrt(projectionLists.reduce((sum, list) => sum + list[i].sigma ** 2, 0))
+  }));
+}
+
+/**
+ * Describe a sum of application projections, noting the applications left out
+ */
+function sumModel(projectionLists) {
+  const unknown = projectionLists.filter(list => list === null).length;
+  return unknown > 0 ? `sum of applications, excluding ${unknown} with unknown volume` : 'sum of applications';
+}
+
+/**
+ * Forecast monthly messages and billable flows for every application, business group and the organization
+ *
+ * Message history is the daily series of the current inventory merged with those
+ * of earlier snapshots; flow history is the flow count recorded in each snapshot.
+ * Business group and organization messages are the sum of their applications,
+ * while their flows are fitted on their own totals so new applications count.
+ * Applications whose message volume is unknown get no message forecast and are
+ * left out of the sums. Snapshots taken with other filters than the inventory
+ * cover a different set of applications and are ignored.
+ *
+ * @param {object} inventory the current complete-billable-consumption.json
+ * @param {object[]} history earlier inventories of the same organization, oldest first
+ * @param {number} horizon number of months to project
+ * @returns {Array<object>} one row per scope and month
+ */
+function forecastInventory(inventory, history, horizon) {
+  const snapshots = [
+    ...history.filter(snapshot => snapshot.timestamp !== inventory.timestamp && sameFilters(snapshot.filters, inventory.filters)),
+    inventory
+  ];
+  const start = monthIndex(inventory.timestamp.slice(0, 7)) + 1;
+  const months = Array.from({ length: horizon }, (_, i) => start + i);
+
+  // Collect each application's message series and flow counts, and each group's flow totals
+  const appHistory = new Map();
+  const groupFlows = new Map();
+  const orgFlows = [];
+
+  snapshots.forEach(snapshot => {
+    const time = Date.parse(snapshot.timestamp);
+    let orgTotal = 0;
+
+    snapshot.businessGroups.forEach(group => {
+      let groupTotal = 0;
+      group.environments.forEach(env => {
+        env.applications.forEach(app => {
+          const key = `${group.id}/${env.id}/${app.domain}`;
+          const entry = appHistory.get(key) || { series: [], flows: [] };
+          const flows = app.flowAnalysis?.estimatedFlows || 0;
+
+          entry.series.push(app.monitoringData?.messageSeries?.daily);
+          entry.flows.push({ time, value: flows });
+          appHistory.set(key, entry);
+          groupTotal += flows;
+        });
+      });
+
+      const groupEntry = groupFlows.get(group.id) || [];
+      groupEntry.push({ time, value: groupTotal });
+      groupFlows.set(group.id, groupEntry);
+      orgTotal += groupTotal;
+    });
+
+    orgFlows.push({ time, value: orgTotal });
+  });
+
+  const rows = [];
+  const addRows = (scope, names, messages, flows, model) => {
+    months.forEach((index, i) => {
+      const messageBounds = messages ? withBounds(messages[i]) : { value: null, lower: null, upper: null };
+      const flowBounds = withBounds(flows.projections[i]);
+      rows.push({
+        scope,
+        ...names,
+        month: monthName(index),
+        messages: messageBounds.value,
+        messagesLower: messageBounds.lower,
+        messagesUpper: messageBounds.upper,
+        flows: flowBounds.value,
+        flowsLower: flowBounds.lower,
+        flowsUpper: flowBounds.upper,
+        messageModel: model,
+        flowModel: flows.type
+      });
+    });
+  };
+
+  const orgMessages = [];
+  inventory.businessGroups.forEach(group => {
+    const groupMessages = [];
+
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        const entry = appHistory.get(`${group.id}/${env.id}/${app.domain}`);
+        const model = fitMessageModel(mergeDailySeries(entry.series));
+
+        // Without a series, hold the current monthly estimate level
+        const messages = model ? projectMessages(model, months) : projectCurrentEstimate(app.messageAnalysis, months);
+        const messageModel = model ? model.type : messages ? 'current estimate' : 'unknown';
+
+        groupMessages.push(messages);
+        addRows('Application', {
+          businessGroup: group.name,
+          environment: env.name,
+          application: app.domain
+        }, messages, projectFlows(entry.flows, months), messageModel);
+      });
+    });
+
+    orgMessages.push(...groupMessages);
+    addRows('Business Group', {
+      businessGroup: group.name,
+      environment: '',
+      application: ''
+    }, sumProjections(groupMessages, months), projectFlows(groupFlows.get(group.id), months), sumModel(groupMessages));
+  });
+
+  addRows('Organization', {
+    businessGroup: '',
+    environment: '',
+    application: ''
+  }, sumProjections(orgMessages, months), projectFlows(orgFlows, months), sumModel(orgMessages));
+
+  return rows;
+}
+
+module.exports = {
+  forecastInventory
+};
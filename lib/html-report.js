@@ -0,0 +1,395 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Number of applications in each top consumers table
+const DEFAULT_TOP_N = 10;
+
+const PRODUCTION_COLOR = '#1f6fb2';
+const SANDBOX_COLOR = '#f0a030';
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1d2630; background: #f4f6f8; }
+header { background: #14324f; color: #fff; padding: 20px 32px; }
+header h1 { margin: 0 0 4px; font-size: 22px; }
+header p { margin: 0; opacity: 0.8; font-size: 13px; }
+main { padding: 24px 32px; max-width: 1400px; }
+section { background: #fff; border-radius: 6px; padding: 16px 20px; margin-bottom: 20px; box-shadow: 0 1px 2px rgba(0,0,0,0.08); }
+h2 { font-size: 17px; margin: 0 0 12px; }
+h3 { font-size: 14px; margin: 16px 0 8px; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { flex: 1 1 160px; border: 1px solid #dde3e8; border-radius: 6px; padding: 12px 16px; }
+.card .value { font-size: 24px; font-weight: 600; }
+.card .label { font-size: 12px; color: #5b6b7a; text-transform: uppercase; }
+.card .split { font-size: 12px; color: #5b6b7a; margin-top: 4px; }
+.warning { background: #fff4e0; border-left: 4px solid #f0a030; padding: 8px 12px; margin: 0 0 12px; font-size: 13px; }
+.columns { display: flex; flex-wrap: wrap; gap: 20px; }
+.columns > div { flex: 1 1 420px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e6eaee; }
+th { background: #eef2f5; white-space: nowrap; }
+table.sortable th { cursor: pointer; user-select: none; }
+table.sortable th::after { content: " \\2195"; color: #9aa8b5; }
+td.num, th.num { text-align: right; }
+details { border: 1px solid #dde3e8; border-radius: 6px; margin-bottom: 8px; }
+details details { margin: 8px 12px; }
+summary { cursor: pointer; padding: 8px 12px; font-weight: 600; }
+summary .meta { font-weight: normal; color: #5b6b7a; font-size: 12px; margin-left: 8px; }
+details > .body { padding: 0 12px 12px; }
+.badge { display: inline-block; padding: 1px 6px; border-radius: 8px; font-size: 11px; margin-left: 4px; }
+.badge-high { background: #dff3e4; color: #1e7b34; }
+.badge-medium { background: #fff1cc; color: #8a6100; }
+.badge-low { background: #fde2e1; color: #a12622; }
+.badge-unknown, .badge-none { background: #e6eaee; color: #5b6b7a; }
+.env-production { color: ${PRODUCTION_COLOR}; }
+.env-sandbox { color: ${SANDBOX_COLOR}; }
+.legend span { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 12px; }
+footer { font-size: 12px; color: #5b6b7a; padding: 0 32px 24px; }
+`;
+
+// Sorts a table by the clicked column, numerically when every cell has a data-sort value
+const SCRIPT = `
+document.querySelectorAll('table.sortable').forEach(function (table) {
+  table.querySelectorAll('th').forEach(function (th, index) {
+    th.addEventListener('click', function () {
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      var ascending = th.getAttribute('data-order') !== 'asc';
+      table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('data-order'); });
+      th.setAttribute('data-order', ascending ? 'asc' : 'desc');
+      var key = function (row) {
+        var cell = row.cells[index];
+        var sort = cell.getAttribute('data-sort');
+        return sort !== null ? Number(sort) : cell.textContent.trim().toLowerCase();
+      };
+      rows.sort(function (a, b) {
+        var x = key(a), y = key(b);
+        return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1);
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});
+`;
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value) {
+  return typeof value === 'number' ? Math.round(value).toLocaleString('en-US') : 'unknown';
+}
+
+function badge(confidence) {
+  const level = confidence || 'none';
+  return `<span class="badge badge-${escapeHtml(level)}">${escapeHtml(level)}</span>`;
+}
+
+function emptyTotals() {
+  return { applications: 0, flows: 0, messages: 0, unknownMessages: 0 };
+}
+
+function addApplication(totals, app) {
+  totals.applications++;
+  totals.flows += app.flowAnalysis?.estimatedFlows || 0;
+  if (typeof app.messageAnalysis?.estimatedMonthlyMessages === 'number') {
+    totals.messages += app.messageAnalysis.estimatedMonthlyMessages;
+  } else if (app.messageAnalysis?.confidence === 'unknown') {
+    totals.unknownMessages++;
+  }
+}
+
+/**
+ * Total applications, flows and monthly messages by organization, business group and environment
+ */
+function summarize(inventory) {
+  const org = { total: emptyTotals(), production: emptyTotals(), sandbox: emptyTotals() };
+  const applications = [];
+
+  const groups = inventory.businessGroups.map(group => {
+    const groupTotals = { total: emptyTotals(), production: emptyTotals(), sandbox: emptyTotals() };
+
+    const environments = group.environments.map(env => {
+      const envTotals = emptyTotals();
+      const type = env.isProduction ? 'production' : 'sandbox';
+
+      env.applications.forEach(app => {
+        [envTotals, groupTotals.total, groupTotals[type], org.total, org[type]].forEach(totals => addApplication(totals, app));
+        applications.push({ group, env, app });
+      });
+
+      return { env, totals: envTotals };
+    });
+
+    return { group, environments, totals: groupTotals };
+  });
+
+  return { org, groups, applications };
+}
+
+function card(label, totals, field, format = formatNumber) {
+  return `<div class="card"><div class="label">${escapeHtml(label)}</div>` +
+    `<div class="value">${format(totals.total[field])}</div>` +
+    `<div class="split"><span class="env-production">Production ${format(totals.production[field])}</span> &middot; ` +
+    `<span class="env-sandbox">Sandbox ${format(totals.sandbox[field])}</span></div></div>`;
+}
+
+/**
+ * Horizontal stacked bars of production and sandbox values, one per row
+ *
+ * @param {Array<{label: string, production: number, sandbox: number}>} rows
+ */
+function stackedBarChart(title, rows) {
+  const labelWidth = 180;
+  const barWidth = 420;
+  const rowHeight = 24;
+  const max = Math.max(1, ...rows.map(row => row.production + row.sandbox));
+  const height = rows.length * rowHeight + 8;
+
+  const bars = rows.map((row, i) => {
+    const y = i * rowHeight + 4;
+    const production = row.production / max * barWidth;
+    const sandbox = row.sandbox / max * barWidth;
+    const label = row.label.length > 28 ? `${row.label.slice(0, 27)}…` : row.label;
+    return `<text x="${labelWidth - 6}" y="${y + 14}" text-anchor="end" font-size="12">${escapeHtml(label)}</text>` +
+      `<rect x="${labelWidth}" y="${y}" width="${production.toFixed(1)}" height="18" fill="${PRODUCTION_COLOR}"><title>Production: ${formatNumber(row.production)}</title></rect>` +
+      `<rect x="${(labelWidth + production).toFixed(1)}" y="${y}" width="${sandbox.toFixed(1)}" height="18" fill="${SANDBOX_COLOR}"><title>Sandbox: ${formatNumber(row.sandbox)}</title></rect>` +
+      `<text x="${(labelWidth + production + sandbox + 6).toFixed(1)}" y="${y + 14}" font-size="11" fill="#5b6b7a">${formatNumber(row.production + row.sandbox)}</text>`;
+  }).join('');
+
+  return `<div><h3>${escapeHtml(title)}</h3>` +
+    `<svg width="100%" viewBox="0 0 ${labelWidth + barWidth + 90} ${height}" role="img" aria-label="${escapeHtml(title)}">${bars}</svg></div>`;
+}
+
+function table(headers, rows, sortable = true) {
+  const head = headers.map(header => `<th${header.numeric ? ' class="num"' : ''}>${escapeHtml(header.label)}</th>`).join('');
+  return `<table${sortable ? ' class="sortable"' : ''}><thead><tr>${head}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function numericCell(value, display = formatNumber(value)) {
+  return `<td class="num" data-sort="${typeof value === 'number' ? value : -1}">${display}</td>`;
+}
+
+const APPLICATION_HEADERS = [
+  { label: 'Application' },
+  { label: 'Status' },
+  { label: 'Platform' },
+  { label: 'Workers', numeric: true },
+  { label: 'Flows', numeric: true },
+  { label: 'Flow Source' },
+  { label: 'Monthly Messages', numeric: true },
+  { label: 'Message Source' },
+  { label: 'Trend' }
+];
+
+function applicationRow(app) {
+  const flows = app.flowAnalysis?.estimatedFlows || 0;
+  const messages = app.messageAnalysis?.estimatedMonthlyMessages;
+  return '<tr>' +
+    `<td>${escapeHtml(app.domain)}</td>` +
+    `<td>${escapeHtml(app.status || 'Unknown')}</td>` +
+    `<td>${escapeHtml(app.platform || '')}</td>` +
+    numericCell(app.numberOfWorkers || 0) +
+    numericCell(flows, `${formatNumber(flows)} ${badge(app.flowAnalysis?.confidence)}`) +
+    `<td>${escapeHtml(app.flowAnalysis?.source || '')}</td>` +
+    numericCell(messages, `${formatNumber(messages)} ${badge(app.messageAnalysis?.confidence)}`) +
+    `<td>${escapeHtml(app.messageAnalysis?.source || '')}</td>` +
+    `<td>${escapeHtml(app.messageAnalysis?.trend?.direction || '')}</td>` +
+    '</tr>';
+}
+
+function topConsumers(title, valueLabel, applications, value, top) {
+  const rows = applications
+    .filter(entry => typeof value(entry.app) === 'number' && value(entry.app) > 0)
+    .sort((a, b) => value(b.app) - value(a.app))
+    .slice(0, top)
+    .map(({ group, env, app }) => '<tr>' +
+      `<td>${escapeHtml(app.domain)}</td>` +
+      `<td>${escapeHtml(group.name)}</td>` +
+      `<td class="env-${env.isProduction ? 'production' : 'sandbox'}">${escapeHtml(env.name)}</td>` +
+      numericCell(value(app)) +
+      '</tr>');
+
+  return `<div><h3>${escapeHtml(title)}</h3>` +
+    (rows.length > 0
+      ? table([{ label: 'Application' }, { label: 'Business Group' }, { label: 'Environment' }, { label: valueLabel, numeric: true }], rows)
+      : '<p>No data.</p>') +
+    '</div>';
+}
+
+function drillDown(summary) {
+  return summary.groups.map(({ group, environments, totals }) => {
+    const envs = environments.map(({ env, totals: envTotals }) => {
+      const type = env.isProduction ? 'production' : 'sandbox';
+      return `<details><summary><span class="env-${type}">${escapeHtml(env.name)}</span>` +
+        `<span class="meta">${type} &middot; ${envTotals.applications} applications &middot; ${formatNumber(envTotals.flows)} flows &middot; ${formatNumber(envTotals.messages)} monthly messages</span></summary>` +
+        `<div class="body">${env.applications.length > 0 ? table(APPLICATION_HEADERS, env.applications.map(applicationRow)) : '<p>No applications.</p>'}</div>` +
+        '</details>';
+    }).join('');
+
+    return `<details><summary>${escapeHtml(group.name)}` +
+      `<span class="meta">${totals.total.applications} applications &middot; ${formatNumber(totals.total.flows)} flows ` +
+      `(${formatNumber(totals.production.flows)} production) &middot; ${formatNumber(totals.total.messages)} monthly messages</span></summary>` +
+      `<div class="body">${envs || '<p>No environments.</p>'}</div></details>`;
+  }).join('');
+}
+
+function entitlementSection(inventory) {
+  if (!inventory.entitlementUtilization || inventory.entitlementUtilization.length === 0) {
+    return '';
+  }
+
+  const rows = inventory.entitlementUtilization.map(row => '<tr>' +
+    `<td>${escapeHtml(row.scope)}</td>` +
+    `<td>${escapeHtml(row.metric)}</td>` +
+    numericCell(row.used) +
+    numericCell(row.entitled) +
+    numericCell(row.utilization, row.utilization === null ? 'n/a' : `${row.utilization.toFixed(1)}%`) +
+    `<td>${escapeHtml(row.exceedDate || '')}</td>` +
+    '</tr>');
+
+  return '<section><h2>Entitlements</h2>' + table([
+    { label: 'Scope' }, { label: 'Metric' }, { label: 'Used', numeric: true },
+    { label: 'Entitled', numeric: true }, { label: 'Utilization', numeric: true }, { label: 'Projected to Exceed' }
+  ], rows) + '</section>';
+}
+
+function recommendationSection(inventory) {
+  if (!inventory.recommendations || inventory.recommendations.length === 0) {
+    return '';
+  }
+
+  const priced = inventory.recommendations.every(finding => finding.savings.annualCost !== null);
+  const rows = inventory.recommendations.map(finding => '<tr>' +
+    `<td>${escapeHtml(finding.category)}</td>` +
+    `<td>${escapeHtml(finding.application)}</td>` +
+    `<td>${escapeHtml(finding.environment)}</td>` +
+    `<td>${escapeHtml(finding.finding)}</td>` +
+    numericCell(finding.savings.flows) +
+    numericCell(finding.savings.vCores, String(finding.savings.vCores)) +
+    (priced ? numericCell(finding.savings.annualCost) : '') +
+    '</tr>');
+
+  return `<section><h2>Recommendations (${inventory.recommendations.length})</h2>` + table([
+    { label: 'Category' }, { label: 'Application' }, { label: 'Environment' }, { label: 'Finding' },
+    { label: 'Flows Saved', numeric: true }, { label: 'vCores Saved', numeric: true },
+    ...(priced ? [{ label: `Annual Saving (${inventory.costModel.currency})`, numeric: true }] : [])
+  ], rows) + '</section>';
+}
+
+/**
+ * Render the inventory as a single HTML page with inline styles, charts and script
+ *
+ * @param {object} inventory complete-billable-consumption.json
+ * @param {{filters: Array<[string, string]>, top?: number}} options filters as described by describeFilters
+ * @returns {string}
+ */
+function renderHtmlReport(inventory, { filters = [], top = DEFAULT_TOP_N } = {}) {
+  const summary = summarize(inventory);
+  const organization = inventory.rootOrganization?.name || 'Organization';
+  const generated = new Date(inventory.timestamp).toUTCString();
+
+  const warnings = [];
+  if (inventory.summary?.failedApiCalls > 0) {
+    warnings.push(`${inventory.summary.failedApiCalls} API calls failed after retries, affecting ${inventory.summary.applicationsWithFailedApiCalls} applications. Totals may be understated.`);
+  }
+  if (summary.org.total.unknownMessages > 0) {
+    warnings.push(`Message volume is unknown for ${summary.org.total.unknownMessages} applications and not included in the message totals.`);
+  }
+  filters.forEach(([label, value]) => {
+    if (value !== 'None') {
+      warnings.push(`Filtered - ${label}: ${value}`);
+    }
+  });
+
+  const groupRows = summary.groups.map(({ group, totals }) => ({
+    label: group.name,
+    production: totals.production,
+    sandbox: totals.sandbox
+  }));
+  const chartRows = field => [
+    { label: 'Organization', production: summary.org.production[field], sandbox: summary.org.sandbox[field] },
+    ...groupRows.map(row => ({ label: row.label, production: row.production[field], sandbox: row.sandbox[field] }))
+  ];
+
+  const legend = `<p class="legend"><span style="background:${PRODUCTION_COLOR}"></span>Production<span style="background:${SANDBOX_COLOR}"></span>Sandbox</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(organization)} - Billable Consumption</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(organization)} - Billable Consumption</h1>
+<p>Generated ${escapeHtml(generated)}${inventory.offline ? ` from ${escapeHtml(inventory.sourcePath)}` : ''}</p>
+</header>
+<main>
+${warnings.map(warning => `<p class="warning">${escapeHtml(warning)}</p>`).join('\n')}
+<section>
+<h2>Summary</h2>
+<div class="cards">
+${card('Applications', summary.org, 'applications')}
+${card('Billable Flows', summary.org, 'flows')}
+${card('Monthly Messages', summary.org, 'messages')}
+<div class="card"><div class="label">Business Groups</div><div class="value">${inventory.businessGroups.length}</div></div>
+</div>
+</section>
+<section>
+<h2>Production vs. Sandbox</h2>
+${legend}
+<div class="columns">
+${stackedBarChart('Billable flows', chartRows('flows'))}
+${stackedBarChart('Monthly messages', chartRows('messages'))}
+${stackedBarChart('Applications', chartRows('applications'))}
+</div>
+</section>
+<section>
+<h2>Top ${top} Consumers</h2>
+<div class="columns">
+${topConsumers('By billable flows', 'Flows', summary.applications, app => app.flowAnalysis?.estimatedFlows, top)}
+${topConsumers('By monthly messages', 'Monthly Messages', summary.applications, app => app.messageAnalysis?.estimatedMonthlyMessages, top)}
+</div>
+</section>
+${entitlementSection(inventory)}
+${recommendationSection(inventory)}
+<section>
+<h2>Business Groups and Environments</h2>
+<p>Expand a business group and environment to see its applications; click a column heading to sort.</p>
+${drillDown(summary)}
+</section>
+</main>
+<footer>Flow confidence: high from JAR analysis, medium from calibration, low from estimation rules. Message confidence: high or medium from message metrics, low from calibrated CPU estimates, unknown without an estimate.</footer>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderHtmlReport
+};
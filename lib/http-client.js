@@ -0,0 +1,204 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseRetryAfter } = require('./concurrency');
+
+// Carries the business group, environment and application a request is made for
+const apiContext = new AsyncLocalStorage();
+
+// Refresh tokens this long before they expire so in-flight calls don't race the expiry
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Decide whether a failed request is worth sending again
+ */
+function isRetryable(error) {
+  if (!error.response) {
+    // Network errors and timeouts, but not requests cancelled by the caller
+    return error.code !== 'ERR_CANCELED';
+  }
+
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff with jitter, never shorter than a Retry-After header
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs, error) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  const jittered = exponential / 2 + Math.random() * exponential / 2;
+  const retryAfter = error && error.response && error.response.headers
+    ? parseRetryAfter(error.response.headers['retry-after'])
+    : null;
+
+  return retryAfter !== null ? Math.max(retryAfter, jittered) : jittered;
+}
+
+/**
+ * Call an async function, retrying with exponential backoff while the error is retryable
+ */
+async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000, log = () => {}, description = 'request' } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs, error);
+      log(`${description} failed (${describeError(error)}), retry ${attempt} of ${maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+function describeError(error) {
+  return error.response ? `status ${error.response.status}` : error.message;
+}
+
+/**
+ * Keep an access token current, fetching a new one before it expires
+ *
+ * Concurrent callers share a single in-flight token request.
+ *
+ * @param {function(): Promise<{accessToken: string, expiresIn: number}>} fetchToken
+ */
+class TokenManager {
+  constructor(fetchToken) {
+    this.fetchToken = fetchToken;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  async get() {
+    if (this.token && Date.now() < this.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+    return this.refresh();
+  }
+
+  /**
+   * Fetch a new token; `staleToken` skips the fetch if another caller already replaced it
+   */
+  async refresh(staleToken) {
+    if (staleToken && this.token && this.token !== staleToken) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this.fetchToken()
+        .then(({ accessToken, expiresIn }) => {
+          this.token = accessToken;
+          // Tokens without an expiry are assumed to last the platform default of an hour
+          this.expiresAt = Date.now() + (expiresIn || 3600) * 1000;
+          return accessToken;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    return this.pending;
+  }
+}
+
+/**
+ * Add authentication, retries and failure recording to an axios instance
+ *
+ * - Every request is sent with the current token from the token manager
+ * - A 401 response refreshes the token and sends the request again once
+ * - 5xx, 429 and network errors are retried with exponential backoff, up to the
+ *   request's own `maxRetries` when it sets one
+ * - Requests that still fail are added to `failures`, and to the failures of
+ *   the current `apiContext` so they can be reported against an application,
+ *   unless they were sent with `optional: true` because the caller has a fallback
+ *
+ * Attach after any rate limiter so its response handling runs first.
+ */
+function attachResilience(instance, { tokenManager, failures, maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000, log = () => {} }) {
+  instance.interceptors.request.use(async config => {
+    if (tokenManager && config.authenticate !== false) {
+      const token = await tokenManager.get();
+      config.sentToken = token;
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    response => response,
+    async error => {
+      const config = error.config;
+      if (!config) {
+        throw error;
+      }
+
+      const status = error.response ? error.response.status : null;
+
+      if (status === 401 && tokenManager && config.authenticate !== false && !config.tokenRefreshed) {
+        config.tokenRefreshed = true;
+        log(`Access token rejected for ${config.url}, refreshing token`);
+        await tokenManager.refresh(config.sentToken);
+        return instance(config);
+      }
+
+      const retries = config.maxRetries ?? maxRetries;
+      config.retryAttempt = (config.retryAttempt || 0) + 1;
+      if (config.retryAttempt <= retries && isRetryable(error)) {
+        const delay = backoffDelay(config.retryAttempt, baseDelayMs, maxDelayMs, error);
+        log(`${(config.method || 'get').toUpperCase()} ${config.url} failed (${describeError(error)}), retry ${config.retryAttempt} of ${retries} in ${(delay / 1000).toFixed(1)}s`);
+        await sleep(delay);
+        return instance(config);
+      }
+
+      if (config.optional) {
+        throw error;
+      }
+
+      const context = apiContext.getStore();
+      const failure = {
+        method: (config.method || 'get').toUpperCase(),
+        url: `${config.baseURL || ''}${config.url}`,
+        status,
+        error: error.message,
+        attempts: config.retryAttempt,
+        businessGroup: context ? context.businessGroup : null,
+        environment: context ? context.environment : null,
+        application: context ? context.application : null,
+        time: new Date().toISOString()
+      };
+      failures.push(failure);
+      if (context && context.failures) {
+        context.failures.push(failure);
+      }
+
+      throw error;
+    }
+  );
+}
+
+module.exports = {
+  TokenManager,
+  apiContext,
+  attachResilience,
+  isRetryable,
+  withRetry
+};
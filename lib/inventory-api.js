@@ -0,0 +1,381 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { splitList } = require('./cli');
+const { buildFlowInventory } = require('./flow-inventory');
+const { buildFilters, matchesApplication, matchesEnvironment, selectBusinessGroups } = require('./filters');
+const { openApiDocument } = require('./openapi');
+
+const API_PREFIX = '/api';
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read a comma-separated query parameter as a list, like list options on the command line
+ */
+function listParam(query, name) {
+  return query.getAll(name).flatMap(splitList);
+}
+
+function booleanParam(query, name) {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return null;
+  }
+  if (!['true', 'false'].includes(value.toLowerCase())) {
+    throw new ApiError(400, `Query parameter ${name} must be true or false`);
+  }
+  return value.toLowerCase() === 'true';
+}
+
+function integerParam(query, name, fallback, min, max) {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ApiError(400, `Query parameter ${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Build the filters of a request from its query parameters
+ *
+ * businessGroup, environment, environmentType and application take the same
+ * values as the matching command-line filters.
+ */
+function parseFilters(query) {
+  let filters;
+  try {
+    filters = buildFilters({
+      businessGroups: listParam(query, 'businessGroup'),
+      environments: listParam(query, 'environment'),
+      environmentTypes: listParam(query, 'environmentType'),
+      applications: listParam(query, 'application')
+    });
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+
+  return {
+    ...filters,
+    production: booleanParam(query, 'production'),
+    statuses: listParam(query, 'status').map(status => status.toUpperCase()),
+    flowConfidence: listParam(query, 'flowConfidence'),
+    messageConfidence: listParam(query, 'messageConfidence')
+  };
+}
+
+/**
+ * Every environment of an inventory with its business group, narrowed by the filters
+ */
+function selectEnvironments(inventory, filters) {
+  return selectBusinessGroups(inventory.businessGroups, filters).flatMap(group => group.environments
+    .filter(env => matchesEnvironment(env, filters))
+    .filter(env => filters.production === null || Boolean(env.isProduction) === filters.production)
+    .map(env => ({ group, env })));
+}
+
+/**
+ * Every application of an inventory with its business group and environment, narrowed by the filters
+ */
+function selectApplications(inventory, filters) {
+  return selectEnvironments(inventory, filters).flatMap(({ group, env }) => env.applications
+    .filter(app => matchesApplication(app.domain, filters))
+    .filter(app => filters.statuses.length === 0 || filters.statuses.includes(String(app.status).toUpperCase()))
+    .filter(app => filters.flowConfidence.length === 0 || filters.flowConfidence.includes(app.flowAnalysis?.confidence))
+    .filter(app => filters.messageConfidence.length === 0 || filters.messageConfidence.includes(app.messageAnalysis?.confidence))
+    .map(app => ({ group, env, app })));
+}
+
+/**
+ * Application, flow and monthly message totals of a set of applications, split by production and sandbox
+ */
+function totalsOf(records) {
+  const empty = () => ({ applications: 0, flows: 0, monthlyMessages: 0, applicationsWithUnknownMessages: 0 });
+  const totals = { ...empty(), production: empty(), sandbox: empty() };
+
+  records.forEach(({ env, app }) => {
+    [totals, env.isProduction ? totals.production : totals.sandbox].forEach(target => {
+      target.applications++;
+      target.flows += app.flowAnalysis?.estimatedFlows || 0;
+      target.monthlyMessages += app.messageAnalysis?.estimatedMonthlyMessages || 0;
+      if (app.messageAnalysis?.estimatedMonthlyMessages === null) {
+        target.applicationsWithUnknownMessages++;
+      }
+    });
+  });
+
+  return totals;
+}
+
+function applicationPath(group, env, app) {
+  return `${API_PREFIX}/business-groups/${encodeURIComponent(group.id)}/environments/${encodeURIComponent(env.id)}/applications/${encodeURIComponent(app.domain)}`;
+}
+
+function applicationSummary({ group, env, app }) {
+  return {
+    businessGroup: { id: group.id, name: group.name },
+    environment: { id: env.id, name: env.name, isProduction: Boolean(env.isProduction) },
+    application: app.domain,
+    status: app.status || null,
+    platform: app.platform || null,
+    workerType: app.workerType || null,
+    workers: app.numberOfWorkers ?? null,
+    estimatedFlows: app.flowAnalysis?.estimatedFlows || 0,
+    flowConfidence: app.flowAnalysis?.confidence || 'none',
+    estimatedMonthlyMessages: app.messageAnalysis?.estimatedMonthlyMessages ?? null,
+    messageConfidence: app.messageAnalysis?.confidence || 'none',
+    href: applicationPath(group, env, app)
+  };
+}
+
+function environmentSummary(group, env, records) {
+  return {
+    businessGroup: { id: group.id, name: group.name },
+    id: env.id,
+    name: env.name,
+    type: env.type || null,
+    isProduction: Boolean(env.isProduction),
+    totals: totalsOf(records)
+  };
+}
+
+function paginate(items, query) {
+  const limit = integerParam(query, 'limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+  const offset = integerParam(query, 'offset', 0, 0, Number.MAX_SAFE_INTEGER);
+
+  return {
+    total: items.length,
+    offset,
+    limit,
+    items: items.slice(offset, offset + limit)
+  };
+}
+
+function matchesNameOrId(item, value) {
+  return item.id === value || String(item.name).toLowerCase() === value.toLowerCase();
+}
+
+function findBusinessGroup(inventory, value) {
+  const group = inventory.businessGroups.find(candidate => matchesNameOrId(candidate, value));
+  if (!group) {
+    throw new ApiError(404, `Business group ${value} not found`);
+  }
+  return group;
+}
+
+function findEnvironment(group, value) {
+  const env = group.environments.find(candidate => matchesNameOrId(candidate, value));
+  if (!env) {
+    throw new ApiError(404, `Environment ${value} not found in business group ${group.name}`);
+  }
+  return env;
+}
+
+/**
+ * Reduce an inventory to the totals the history endpoint reports, so snapshots can be kept in memory
+ */
+function summarizeSnapshot(inventory) {
+  const records = selectApplications(inventory, parseFilters(new URLSearchParams()));
+
+  return {
+    timestamp: inventory.timestamp,
+    rootOrganization: inventory.rootOrganization || null,
+    totals: totalsOf(records),
+    businessGroups: inventory.businessGroups.map(group => ({
+      id: group.id,
+      name: group.name,
+      totals: totalsOf(records.filter(record => record.group === group))
+    }))
+  };
+}
+
+const routes = [
+  {
+    pattern: /^\/summary$/,
+    handle: (inventory, query) => {
+      const filters = parseFilters(query);
+      return {
+        timestamp: inventory.timestamp,
+        rootOrganization: inventory.rootOrganization || null,
+        filters: inventory.filters || null,
+        totals: totalsOf(selectApplications(inventory, filters)),
+        businessGroups: selectBusinessGroups(inventory.businessGroups, filters).length,
+        failedApiCalls: inventory.summary?.failedApiCalls || 0,
+        applicationsWithFailedApiCalls: inventory.summary?.applicationsWithFailedApiCalls || 0
+      };
+    }
+  },
+  {
+    pattern: /^\/business-groups$/,
+    handle: (inventory, query) => {
+      const filters = parseFilters(query);
+      const records = selectApplications(inventory, filters);
+      const groups = selectBusinessGroups(inventory.businessGroups, filters).map(group => ({
+        id: group.id,
+        name: group.name,
+        parentId: group.parentId || null,
+        environments: group.environments.length,
+        totals: totalsOf(records.filter(record => record.group === group))
+      }));
+      return paginate(groups, query);
+    }
+  },
+  {
+    pattern: /^\/business-groups\/([^/]+)$/,
+    handle: (inventory, query, [id]) => {
+      const group = findBusinessGroup(inventory, id);
+      const records = selectApplications({ businessGroups: [group] }, parseFilters(query));
+      return {
+        id: group.id,
+        name: group.name,
+        parentId: group.parentId || null,
+        totals: totalsOf(records),
+        environments: group.environments.map(env => environmentSummary(group, env, records.filter(record => record.env === env)))
+      };
+    }
+  },
+  {
+    pattern: /^\/environments$/,
+    handle: (inventory, query) => {
+      const filters = parseFilters(query);
+      const records = selectApplications(inventory, filters);
+      const environments = selectEnvironments(inventory, filters)
+        .map(({ group, env }) => environmentSummary(group, env, records.filter(record => record.env === env)));
+      return paginate(environments, query);
+    }
+  },
+  {
+    pattern: /^\/applications$/,
+    handle: (inventory, query) => paginate(selectApplications(inventory, parseFilters(query)).map(applicationSummary), query)
+  },
+  {
+    pattern: /^\/business-groups\/([^/]+)\/environments\/([^/]+)\/applications\/([^/]+)$/,
+    handle: (inventory, query, [groupId, envId, domain]) => {
+      const group = findBusinessGroup(inventory, groupId);
+      const env = findEnvironment(group, envId);
+      const app = env.applications.find(candidate => candidate.domain === domain);
+      if (!app) {
+        throw new ApiError(404, `Application ${domain} not found in environment ${env.name}`);
+      }
+      return {
+        ...applicationSummary({ group, env, app }),
+        flowAnalysis: app.flowAnalysis || null,
+        messageAnalysis: app.messageAnalysis || null,
+        flows: buildFlowInventory(app),
+        jarInfo: app.jarInfo || null,
+        failedApiCalls: app.failedApiCalls || []
+      };
+    }
+  },
+  {
+    pattern: /^\/history$/,
+    handle: (inventory, query, params, source) => {
+      const businessGroup = query.get('businessGroup');
+      const from = query.get('from');
+      const to = query.get('to');
+      [['from', from], ['to', to]].forEach(([name, value]) => {
+        if (value && Number.isNaN(Date.parse(value))) {
+          throw new ApiError(400, `Query parameter ${name} must be a date`);
+        }
+      });
+
+      const snapshots = source.history()
+        .filter(snapshot => !from || Date.parse(snapshot.timestamp) >= Date.parse(from))
+        .filter(snapshot => !to || Date.parse(snapshot.timestamp) <= Date.parse(to))
+        .map(snapshot => {
+          if (!businessGroup) {
+            return { timestamp: snapshot.timestamp, totals: snapshot.totals };
+          }
+          const group = snapshot.businessGroups.find(candidate => matchesNameOrId(candidate, businessGroup));
+          return group ? { timestamp: snapshot.timestamp, businessGroup: { id: group.id, name: group.name }, totals: group.totals } : null;
+        })
+        .filter(snapshot => snapshot);
+
+      return paginate(snapshots, query);
+    }
+  },
+  {
+    pattern: /^\/openapi\.json$/,
+    // The description is served even when no inventory has been written yet
+    withoutInventory: true,
+    handle: () => openApiDocument()
+  }
+];
+
+/**
+ * Answer a request to the inventory API
+ *
+ * @param {string} method HTTP method
+ * @param {string} url request path and query string
+ * @param {{inventory: Function, history: Function}} source returns the latest inventory,
+ *   and the summaries of the archived snapshots from summarizeSnapshot, oldest first
+ * @returns {{status: number, body: object}}
+ */
+function handleApiRequest(method, url, source) {
+  try {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    if (pathname !== API_PREFIX && !pathname.startsWith(`${API_PREFIX}/`)) {
+      throw new ApiError(404, `Not found; the API is served under ${API_PREFIX} and described at ${API_PREFIX}/openapi.json`);
+    }
+
+    const routePath = pathname.slice(API_PREFIX.length).replace(/\/$/, '');
+    for (const route of routes) {
+      const match = route.pattern.exec(routePath);
+      if (!match) {
+        continue;
+      }
+      if (method !== 'GET' && method !== 'HEAD') {
+        throw new ApiError(405, 'Only GET requests are supported');
+      }
+      const params = match.slice(1).map(segment => {
+        try {
+          return decodeURIComponent(segment);
+        } catch (error) {
+          throw new ApiError(400, `Invalid path segment ${segment}`);
+        }
+      });
+      const inventory = route.withoutInventory ? null : source.inventory();
+      return { status: 200, body: route.handle(inventory, searchParams, params, source) };
+    }
+
+    throw new ApiError(404, `No endpoint at ${pathname}; see ${API_PREFIX}/openapi.json`);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return { status: error.status, body: { error: error.message } };
+    }
+    return { status: 500, body: { error: error.message } };
+  }
+}
+
+module.exports = {
+  API_PREFIX,
+  ApiError,
+  handleApiRequest,
+  summarizeSnapshot
+};
@@ -0,0 +1,167 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { linearRegression, mean, percentile } = require('./stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// A change of less than this over the period is reported as a stable trend
+const STABLE_TREND_PERCENT = 10;
+
+/**
+ * Convert a timestamp in milliseconds, seconds or ISO format to milliseconds
+ */
+function toMillis(value) {
+  if (typeof value === 'number') {
+    // Ten-digit timestamps are seconds
+    return value < 1e11 ? value * 1000 : value;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function toPoint(entry) {
+  if (Array.isArray(entry)) {
+    // [value, timestamp] pairs
+    return { time: toMillis(entry[1]), count: Number(entry[0]) };
+  }
+  if (entry && typeof entry === 'object') {
+    const time = entry.timestamp ?? entry.time ?? entry.date ?? entry.t;
+    const count = entry.value ?? entry.count ?? entry.sum ?? entry.v;
+    return { time: time === undefined ? null : toMillis(time), count: Number(count) };
+  }
+  return { time: null, count: NaN };
+}
+
+/**
+ * Extract the buckets of a metric from a monitoring response
+ *
+ * Accepts the shapes returned by the monitoring endpoints: a list of
+ * {timestamp, value} objects or [value, timestamp] pairs under the metric
+ * name, `values`, `datapoints`, `series` or `data`.
+ *
+ * @returns {Array<{time: number, count: number}>} empty when the response has no buckets
+ */
+function extractSeries(data, metric) {
+  if (!data) {
+    return [];
+  }
+
+  const candidate = data[metric] !== undefined ? data[metric] : data;
+  const list = Array.isArray(candidate)
+    ? candidate
+    : candidate && (candidate.values || candidate.datapoints || candidate.series || candidate.data);
+
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .map(toPoint)
+    .filter(point => point.time !== null && Number.isFinite(point.count));
+}
+
+/**
+ * Sum buckets into UTC days, with a zero for every day of the period without data
+ *
+ * Only whole days inside the period are kept. The day the period starts part-way
+ * through and the day still in progress when it ends would read as quiet days and
+ * pull the average and the trend down.
+ *
+ * @param {Array<{time: number, count: number}>} points daily or hourly buckets
+ * @param {{from: string, to: string}} period
+ * @returns {Array<{date: string, count: number}>} empty when the period has no whole day
+ */
+function toDailySeries(points, period) {
+  const totals = new Map();
+  points.forEach(point => {
+    const date = new Date(point.time).toISOString().slice(0, 10);
+    totals.set(date, (totals.get(date) || 0) + point.count);
+  });
+
+  const days = [];
+  const start = Math.ceil(Date.parse(period.from) / DAY_MS) * DAY_MS;
+  const end = Math.floor(Date.parse(period.to) / DAY_MS) * DAY_MS;
+  for (let time = start; time + DAY_MS <= end; time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    days.push({ date, count: totals.get(date) || 0 });
+  }
+
+  return days;
+}
+
+/**
+ * Describe a daily message series: average, p95, peak day, trend and monthly estimate
+ *
+ * Days before the first message are left out so applications that went live
+ * during the period aren't averaged down. The monthly estimate is the actual
+ * total of the last 30 active days when the series covers them, and otherwise
+ * the average active day over an average month.
+ *
+ * @param {Array<{date: string, count: number}>} daily from toDailySeries
+ * @returns {object|null} null when the series has no messages
+ */
+function summarizeDailySeries(daily) {
+  const firstActive = daily.findIndex(day => day.count > 0);
+  if (firstActive === -1) {
+    return null;
+  }
+
+  const active = daily.slice(firstActive);
+  const counts = active.map(day => day.count);
+  const dailyAverage = mean(counts);
+  const peakDay = active.reduce((peak, day) => (day.count > peak.count ? day : peak), active[0]);
+
+  const fit = linearRegression(counts.map((count, index) => ({ x: index, y: count })));
+  const slopePerDay = fit ? fit.slope : 0;
+  const percentChange = dailyAverage > 0 ? slopePerDay * (active.length - 1) / dailyAverage * 100 : 0;
+  let direction = 'stable';
+  if (percentChange > STABLE_TREND_PERCENT) {
+    direction = 'increasing';
+  } else if (percentChange < -STABLE_TREND_PERCENT) {
+    direction = 'decreasing';
+  }
+
+  const fullMonth = active.length >= 30;
+  const estimatedMonthlyMessages = fullMonth
+    ? counts.slice(-30).reduce((sum, count) => sum + count, 0)
+    : dailyAverage * DAYS_PER_MONTH;
+
+  return {
+    days: daily.length,
+    activeDays: active.length,
+    firstActiveDate: active[0].date,
+    totalMessages: counts.reduce((sum, count) => sum + count, 0),
+    dailyAverage,
+    p95DailyMessages: percentile(counts, 95),
+    peakDay: { date: peakDay.date, count: peakDay.count },
+    trend: {
+      direction,
+      slopePerDay,
+      percentChange
+    },
+    estimatedMonthlyMessages,
+    monthlyEstimateMethod: fullMonth ? 'Total of the last 30 days' : `Average of ${active.length} active days`
+  };
+}
+
+module.exports = {
+  extractSeries,
+  summarizeDailySeries,
+  toDailySeries
+};
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { parseXml } = require('./xml-parser');
+
+const MULE_CORE_NAMESPACE = 'http://www.mulesoft.org/schema/mule/core';
+const MULE_BATCH_NAMESPACE = 'http://www.mulesoft.org/schema/mule/batch';
+
+// Connector namespaces are http://www.mulesoft.org/schema/mule/<connector>
+const MULE_NAMESPACE_BASE = 'http://www.mulesoft.org/schema/mule/';
+
+// APIkit names generated flows <method>:\<resource>[:<media type>]:<config>
+const APIKIT_FLOW_NAME = /^(get|post|put|patch|delete|head|options|trace):\\/i;
+
+// Scopes that older versions of this tool counted as flows; reported for reference only
+const SCOPE_ELEMENTS = ['async', 'until-successful', 'scatter-gather', 'parallel-foreach'];
+
+/*
+ * Billing rules for Mule flow-based pricing:
+ *
+ * - Every <flow> element deployed in an application is a billable flow,
+ *   whatever triggers it (HTTP listener, scheduler, connector source or none)
+ * - Flows generated by APIkit from an API specification are ordinary flows and are billable
+ * - <sub-flow> elements are not billable; they run inside the flow that references them
+ * - Batch jobs, error handlers and scopes are not flows and are not billable
+ */
+
+function isCoreElement(element, localName) {
+  return element.localName === localName &&
+    (element.namespace === MULE_CORE_NAMESPACE || element.namespace === null);
+}
+
+/**
+ * Name the connector of an element from its namespace URI, whatever prefix the configuration binds it to
+ */
+function connectorName(element) {
+  if (element.namespace && element.namespace.startsWith(MULE_NAMESPACE_BASE)) {
+    return element.namespace.slice(MULE_NAMESPACE_BASE.length).split('/')[0];
+  }
+  return element.prefix || element.namespace;
+}
+
+/**
+ * Describe what starts a flow from the first element inside it
+ *
+ * A flow whose first element is a core processor, such as a logger or set-payload,
+ * has no message source and is only reachable through flow-ref or lookup. A first
+ * element from any other namespace is taken to be a connector's message source,
+ * since sources are named freely (listener, on-new-object, receive-messages, ...).
+ *
+ * @returns {string} 'scheduler', 'none', or <connector>:<element> for a connector source
+ */
+function describeFlowTrigger(flow) {
+  const first = flow.children.find(child => !isCoreElement(child, 'error-handler'));
+
+  if (!first) {
+    return 'none';
+  }
+
+  if (isCoreElement(first, 'scheduler')) {
+    return 'scheduler';
+  }
+
+  if (isCoreElement(first, first.localName)) {
+    return 'none';
+  }
+
+  return `${connectorName(first)}:${first.localName}`;
+}
+
+function walk(element, visit) {
+  visit(element);
+  element.children.forEach(child => walk(child, visit));
+}
+
+/**
+ * Analyze a single Mule configuration document
+ */
+function analyzeMuleConfig(name, root) {
+  const result = {
+    file: name,
+    flows: [],
+    subFlows: [],
+    batchJobs: [],
+    errorHandlers: 0,
+    scopes: 0
+  };
+
+  walk(root, element => {
+    if (isCoreElement(element, 'flow')) {
+      const flowName = element.attributes.name || '(unnamed)';
+      const trigger = describeFlowTrigger(element);
+      result.flows.push({
+        name: flowName,
+        file: name,
+        trigger,
+        apikit: APIKIT_FLOW_NAME.test(flowName),
+        initialState: element.attributes.initialState || 'started'
+      });
+    } else if (isCoreElement(element, 'sub-flow')) {
+      result.subFlows.push(element.attributes.name || '(unnamed)');
+    } else if (element.localName === 'job' && element.namespace === MULE_BATCH_NAMESPACE) {
+      result.batchJobs.push(element.attributes.jobName || element.attributes.name || '(unnamed)');
+    } else if (isCoreElement(element, 'error-handler')) {
+      result.errorHandlers++;
+    } else if (SCOPE_ELEMENTS.some(scope => isCoreElement(element, scope))) {
+      result.scopes++;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Parse Mule configuration files and count flows following Mule billing rules
+ *
+ * Files that cannot be parsed are listed in `parseErrors` and left out of the counts.
+ *
+ * @param {Array<{name: string, content: string}>} configs Mule configuration files
+ * @returns {object} counts by element type, the billable flow count, and the per-flow breakdown
+ */
+function analyzeMuleConfigs(configs) {
+  const analysis = {
+    configFiles: [],
+    flows: 0,
+    subFlows: 0,
+    batchJobs: 0,
+    apikitFlows: 0,
+    schedulerFlows: 0,
+    errorHandlers: 0,
+    scopes: 0,
+    billableFlows: 0,
+    flowList: [],
+    parseErrors: []
+  };
+
+  for (const config of configs) {
+    let root;
+    try {
+      root = parseXml(config.content);
+    } catch (error) {
+      analysis.parseErrors.push({ file: config.name, error: error.message });
+      continue;
+    }
+
+    if (!isCoreElement(root, 'mule')) {
+      continue;
+    }
+
+    const result = analyzeMuleConfig(config.name, root);
+    analysis.configFiles.push(config.name);
+    analysis.flows += result.flows.length;
+    analysis.subFlows += result.subFlows.length;
+    analysis.batchJobs += result.batchJobs.length;
+    analysis.apikitFlows += result.flows.filter(flow => flow.apikit).length;
+    analysis.schedulerFlows += result.flows.filter(flow => flow.trigger === 'scheduler').length;
+    analysis.errorHandlers += result.errorHandlers;
+    analysis.scopes += result.scopes;
+    analysis.flowList.push(...result.flows);
+  }
+
+  analysis.billableFlows = analysis.flows;
+
+  return analysis;
+}
+
+module.exports = {
+  analyzeMuleConfigs,
+  describeFlowTrigger
+};
@@ -0,0 +1,276 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { version } = require('../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const parameter = name => ({ $ref: `#/components/parameters/${name}` });
+
+const FILTER_PARAMETERS = ['businessGroup', 'environment', 'environmentType', 'production', 'application'].map(parameter);
+const APPLICATION_FILTER_PARAMETERS = ['status', 'flowConfidence', 'messageConfidence'].map(parameter);
+const PAGE_PARAMETERS = ['limit', 'offset'].map(parameter);
+
+const listParameter = description => ({
+  in: 'query',
+  required: false,
+  description: `${description}; comma-separated or repeated for several values`,
+  schema: { type: 'string' }
+});
+
+const pageOf = schema => ({
+  type: 'object',
+  required: ['total', 'offset', 'limit', 'items'],
+  properties: {
+    total: { type: 'integer', description: 'Number of items matching the filters' },
+    offset: { type: 'integer' },
+    limit: { type: 'integer' },
+    items: { type: 'array', items: ref(schema) }
+  }
+});
+
+const ok = (description, schema) => ({
+  200: { description, content: { 'application/json': { schema: typeof schema === 'string' ? ref(schema) : schema } } },
+  400: { $ref: '#/components/responses/BadRequest' }
+});
+
+const notFound = { 404: { $ref: '#/components/responses/NotFound' } };
+
+/**
+ * OpenAPI 3.0 description of the inventory API served by the serve command
+ */
+function openApiDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Anypoint Consumption Inventory API',
+      version,
+      description: 'Read-only access to the latest billable consumption inventory and its archived history. ' +
+        'Flows and messages are estimates; each application carries the confidence of its flow count and message estimate.'
+    },
+    paths: {
+      '/api/summary': {
+        get: {
+          summary: 'Organization totals',
+          parameters: [...FILTER_PARAMETERS, ...APPLICATION_FILTER_PARAMETERS],
+          responses: ok('Totals of the applications matching the filters', 'Summary')
+        }
+      },
+      '/api/business-groups': {
+        get: {
+          summary: 'Business groups with their totals',
+          parameters: [...FILTER_PARAMETERS, ...APPLICATION_FILTER_PARAMETERS, ...PAGE_PARAMETERS],
+          responses: ok('A page of business groups', pageOf('BusinessGroup'))
+        }
+      },
+      '/api/business-groups/{businessGroup}': {
+        get: {
+          summary: 'A business group with the totals of each of its environments',
+          parameters: [parameter('businessGroupPath'), ...FILTER_PARAMETERS.slice(1), ...APPLICATION_FILTER_PARAMETERS],
+          responses: { ...ok('The business group', 'BusinessGroupDetail'), ...notFound }
+        }
+      },
+      '/api/environments': {
+        get: {
+          summary: 'Environments with their totals',
+          parameters: [...FILTER_PARAMETERS, ...APPLICATION_FILTER_PARAMETERS, ...PAGE_PARAMETERS],
+          responses: ok('A page of environments', pageOf('Environment'))
+        }
+      },
+      '/api/applications': {
+        get: {
+          summary: 'Applications with their flow and message estimates',
+          parameters: [...FILTER_PARAMETERS, ...APPLICATION_FILTER_PARAMETERS, ...PAGE_PARAMETERS],
+          responses: ok('A page of applications', pageOf('Application'))
+        }
+      },
+      '/api/business-groups/{businessGroup}/environments/{environment}/applications/{application}': {
+        get: {
+          summary: 'Flow and message analysis of one application',
+          parameters: [
+            parameter('businessGroupPath'),
+            { name: 'environment', in: 'path', required: true, description: 'Environment ID or name', schema: { type: 'string' } },
+            { name: 'application', in: 'path', required: true, description: 'Application name (domain)', schema: { type: 'string' } }
+          ],
+          responses: { ...ok('The application', 'ApplicationDetail'), ...notFound }
+        }
+      },
+      '/api/history': {
+        get: {
+          summary: 'Totals of each archived inventory, oldest first',
+          parameters: [
+            { name: 'businessGroup', in: 'query', required: false, description: 'Report the totals of this business group (ID or name) instead of the organization', schema: { type: 'string' } },
+            { name: 'from', in: 'query', required: false, description: 'Earliest snapshot time', schema: { type: 'string', format: 'date-time' } },
+            { name: 'to', in: 'query', required: false, description: 'Latest snapshot time', schema: { type: 'string', format: 'date-time' } },
+            ...PAGE_PARAMETERS
+          ],
+          responses: ok('A page of snapshots', pageOf('Snapshot'))
+        }
+      },
+      '/api/openapi.json': {
+        get: {
+          summary: 'This description',
+          responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } } }
+        }
+      }
+    },
+    components: {
+      parameters: {
+        businessGroup: { name: 'businessGroup', ...listParameter('Only these business groups, by ID or name') },
+        environment: { name: 'environment', ...listParameter('Only these environments, by ID or name') },
+        environmentType: { name: 'environmentType', ...listParameter('Only these environment types: production, sandbox, design') },
+        production: { name: 'production', in: 'query', required: false, description: 'Only production (true) or non-production (false) environments', schema: { type: 'boolean' } },
+        application: { name: 'application', ...listParameter('Only applications matching these globs (order-*) or /regular expressions/') },
+        status: { name: 'status', ...listParameter('Only applications with these statuses, e.g. STARTED') },
+        flowConfidence: { name: 'flowConfidence', ...listParameter('Only applications whose flow count has this confidence: high, medium, low') },
+        messageConfidence: { name: 'messageConfidence', ...listParameter('Only applications whose message estimate has this confidence: high, medium, low, unknown') },
+        limit: { name: 'limit', in: 'query', required: false, description: 'Items per page', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } },
+        offset: { name: 'offset', in: 'query', required: false, description: 'Items to skip', schema: { type: 'integer', minimum: 0, default: 0 } },
+        businessGroupPath: { name: 'businessGroup', in: 'path', required: true, description: 'Business group ID or name', schema: { type: 'string' } }
+      },
+      responses: {
+        BadRequest: { description: 'Invalid query parameter', content: { 'application/json': { schema: ref('Error') } } },
+        NotFound: { description: 'No such business group, environment or application', content: { 'application/json': { schema: ref('Error') } } }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' } }
+        },
+        Counts: {
+          type: 'object',
+          properties: {
+            applications: { type: 'integer' },
+            flows: { type: 'integer', description: 'Estimated billable flows' },
+            monthlyMessages: { type: 'integer', description: 'Estimated monthly messages of applications with a known volume' },
+            applicationsWithUnknownMessages: { type: 'integer' }
+          }
+        },
+        Totals: {
+          allOf: [
+            ref('Counts'),
+            { type: 'object', properties: { production: ref('Counts'), sandbox: ref('Counts') } }
+          ]
+        },
+        Reference: {
+          type: 'object',
+          properties: { id: { type: 'string' }, name: { type: 'string' } }
+        },
+        Summary: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'string', format: 'date-time' },
+            rootOrganization: ref('Reference'),
+            filters: { type: 'object', nullable: true, description: 'Filters applied when the inventory was collected' },
+            totals: ref('Totals'),
+            businessGroups: { type: 'integer' },
+            failedApiCalls: { type: 'integer' },
+            applicationsWithFailedApiCalls: { type: 'integer' }
+          }
+        },
+        BusinessGroup: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            parentId: { type: 'string', nullable: true },
+            environments: { type: 'integer' },
+            totals: ref('Totals')
+          }
+        },
+        BusinessGroupDetail: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            parentId: { type: 'string', nullable: true },
+            totals: ref('Totals'),
+            environments: { type: 'array', items: ref('Environment') }
+          }
+        },
+        Environment: {
+          type: 'object',
+          properties: {
+            businessGroup: ref('Reference'),
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string', nullable: true },
+            isProduction: { type: 'boolean' },
+            totals: ref('Totals')
+          }
+        },
+        Application: {
+          type: 'object',
+          properties: {
+            businessGroup: ref('Reference'),
+            environment: {
+              allOf: [ref('Reference'), { type: 'object', properties: { isProduction: { type: 'boolean' } } }]
+            },
+            application: { type: 'string' },
+            status: { type: 'string', nullable: true },
+            platform: { type: 'string', nullable: true },
+            workerType: { type: 'string', nullable: true },
+            workers: { type: 'number', nullable: true },
+            estimatedFlows: { type: 'integer' },
+            flowConfidence: { type: 'string' },
+            estimatedMonthlyMessages: { type: 'integer', nullable: true, description: 'null when the volume is unknown' },
+            messageConfidence: { type: 'string' },
+            href: { type: 'string', description: 'Path of the application analysis' }
+          }
+        },
+        Flow: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            file: { type: 'string', nullable: true },
+            triggerType: { type: 'string' },
+            billable: { type: 'boolean', nullable: true },
+            initialState: { type: 'string', nullable: true },
+            messages: { type: 'integer', nullable: true },
+            neverInvoked: { type: 'boolean', nullable: true },
+            source: { type: 'string' }
+          }
+        },
+        ApplicationDetail: {
+          allOf: [
+            ref('Application'),
+            {
+              type: 'object',
+              properties: {
+                flowAnalysis: { type: 'object', nullable: true, description: 'Flow count, confidence, source and the breakdown from the Mule configuration' },
+                messageAnalysis: { type: 'object', nullable: true, description: 'Message estimates, confidence, source and daily statistics' },
+                flows: { type: 'array', items: ref('Flow') },
+                jarInfo: { type: 'object', nullable: true },
+                failedApiCalls: { type: 'array', items: { type: 'object' } }
+              }
+            }
+          ]
+        },
+        Snapshot: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'string', format: 'date-time' },
+            businessGroup: ref('Reference'),
+            totals: ref('Totals')
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  openApiDocument
+};
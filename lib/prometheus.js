@@ -0,0 +1,213 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Prefix of every metric name
+const NAMESPACE = 'anypoint_consumption';
+
+/**
+ * Whether a scraper's Accept header asks for OpenMetrics rather than the Prometheus text format
+ */
+function acceptsOpenMetrics(accept) {
+  return /application\/openmetrics-text/i.test(String(accept || ''));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity || value === -Infinity) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render metric families in the Prometheus text format, or OpenMetrics when asked for
+ *
+ * Counter families are named without the _total suffix, which is added to their samples.
+ *
+ * @param {Array<{name: string, type: string, help: string, samples: Array<{labels?: object, value: number}>}>} families
+ * @param {{openMetrics?: boolean}} [options]
+ * @returns {string}
+ */
+function renderMetrics(families, { openMetrics = false } = {}) {
+  const lines = [];
+
+  families.forEach(family => {
+    const sampleName = family.type === 'counter' ? `${family.name}_total` : family.name;
+    // The Prometheus text format names counters after their samples
+    const familyName = openMetrics ? family.name : sampleName;
+
+    lines.push(`# HELP ${familyName} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${familyName} ${family.type}`);
+    family.samples.forEach(sample => {
+      lines.push(`${sampleName}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    });
+  });
+
+  if (openMetrics) {
+    lines.push('# EOF');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Gauges of the estimated flows and monthly messages of every application in an inventory
+ *
+ * Applications whose message volume is unknown have no message sample rather than a zero.
+ */
+function inventoryMetrics(inventory) {
+  const flows = [];
+  const messages = [];
+  const applications = [];
+
+  inventory.businessGroups.forEach(group => {
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        const labels = {
+          business_group: group.name,
+          environment: env.name,
+          production: env.isProduction ? 'true' : 'false',
+          application: app.domain
+        };
+
+        flows.push({
+          labels: { ...labels, confidence: app.flowAnalysis?.confidence || 'none' },
+          value: app.flowAnalysis?.estimatedFlows || 0
+        });
+
+        const monthlyMessages = app.messageAnalysis?.estimatedMonthlyMessages;
+        if (monthlyMessages !== null && monthlyMessages !== undefined) {
+          messages.push({
+            labels: { ...labels, confidence: app.messageAnalysis.confidence || 'none' },
+            value: monthlyMessages
+          });
+        }
+
+        applications.push({ labels: { ...labels, status: app.status || 'Unknown' }, value: 1 });
+      });
+    });
+  });
+
+  return [
+    {
+      name: `${NAMESPACE}_estimated_flows`,
+      type: 'gauge',
+      help: 'Estimated billable flows of the application, labelled with the confidence of the flow count',
+      samples: flows
+    },
+    {
+      name: `${NAMESPACE}_estimated_monthly_messages`,
+      type: 'gauge',
+      help: 'Estimated monthly messages of the application, labelled with the confidence of the estimate',
+      samples: messages
+    },
+    {
+      name: `${NAMESPACE}_application_status`,
+      type: 'gauge',
+      help: 'Applications in the inventory, labelled with their deployment status',
+      samples: applications
+    }
+  ];
+}
+
+/**
+ * Metrics describing the exporter's own analysis runs
+ *
+ * @param {object} state runs: {success, failure}, lastRunSucceeded, lastRunDurationSeconds,
+ *   lastSuccessfulRun (seconds since the epoch), failedApiCalls and applicationsWithFailedApiCalls
+ */
+function exporterMetrics(state) {
+  const families = [
+    {
+      name: `${NAMESPACE}_runs`,
+      type: 'counter',
+      help: 'Analysis runs since the exporter started, by result',
+      samples: [
+        { labels: { result: 'success' }, value: state.runs.success },
+        { labels: { result: 'failure' }, value: state.runs.failure }
+      ]
+    }
+  ];
+
+  // Nothing is known about the last run until the first one finishes
+  if (state.lastRunSucceeded !== null) {
+    families.push(
+      {
+        name: `${NAMESPACE}_last_run_success`,
+        type: 'gauge',
+        help: 'Whether the last analysis run completed (1) or failed (0)',
+        samples: [{ value: state.lastRunSucceeded ? 1 : 0 }]
+      },
+      {
+        name: `${NAMESPACE}_last_run_duration_seconds`,
+        type: 'gauge',
+        help: 'Duration of the last analysis run',
+        samples: [{ value: state.lastRunDurationSeconds }]
+      },
+      {
+        name: `${NAMESPACE}_failed_api_calls`,
+        type: 'gauge',
+        help: 'API calls that still failed after retries in the last analysis run',
+        samples: [{ value: state.failedApiCalls }]
+      }
+    );
+  }
+
+  if (state.lastSuccessfulRun !== null) {
+    families.push(
+      {
+        name: `${NAMESPACE}_applications_with_failed_api_calls`,
+        type: 'gauge',
+        help: 'Applications whose numbers may be understated because API calls failed in the last successful run',
+        samples: [{ value: state.applicationsWithFailedApiCalls }]
+      },
+      {
+        name: `${NAMESPACE}_last_successful_run_timestamp_seconds`,
+        type: 'gauge',
+        help: 'When the last successful analysis run finished, in seconds since the epoch',
+        samples: [{ value: state.lastSuccessfulRun }]
+      }
+    );
+  }
+
+  return families;
+}
+
+module.exports = {
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE,
+  acceptsOpenMetrics,
+  exporterMetrics,
+  inventoryMetrics,
+  renderMetrics
+};
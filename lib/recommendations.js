@@ -0,0 +1,236 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { cpuAverage } = require('./calibration');
+const { buildFlowInventory } = require('./flow-inventory');
+
+// Statuses of applications that are deployed but not running
+const STOPPED_STATUSES = ['STOPPED', 'UNDEPLOYED', 'NOT_RUNNING'];
+
+// Message confidence levels that come from actual message metrics
+const MEASURED_CONFIDENCE = ['high', 'medium'];
+
+// Worker sizes in vCores that an application can be moved down to
+const WORKER_SIZES = {
+  'CloudHub 1.0': [0.1, 0.2, 1, 2, 4, 8, 16],
+  'CloudHub 2.0': [0.1, 0.2, 0.5, 1, 1.5, 2, 2.5, 3, 4]
+};
+
+// Average CPU a resized worker should stay under, and the peak it must stay under
+const TARGET_CPU_PERCENT = 50;
+const MAX_PEAK_CPU_PERCENT = 90;
+
+// Words that distinguish copies of one application deployed to several environments
+const ENVIRONMENT_WORDS = ['dev', 'develop', 'development', 'test', 'tst', 'qa', 'uat', 'sit', 'stage', 'staging', 'stg', 'preprod', 'sandbox', 'sbx', 'prod', 'prd', 'production'];
+
+const roundCents = value => Math.round(value * 100) / 100;
+
+/**
+ * Name an application independently of the environment it is deployed to
+ *
+ * Environment words and the environment's own name are removed from the domain,
+ * so orders-api-dev and orders-api-qa are both orders-api.
+ */
+function baseApplicationName(domain, envName) {
+  const envTokens = String(envName || '').toLowerCase().split(/[^a-z0-9]+/);
+  const tokens = String(domain).toLowerCase().split(/[-_.]+/);
+  const base = tokens.filter(token => token && !ENVIRONMENT_WORDS.includes(token) && !envTokens.includes(token));
+  return base.length > 0 ? base.join('-') : String(domain).toLowerCase();
+}
+
+/**
+ * The smallest worker size that keeps the application's CPU load within the targets
+ *
+ * @returns {number|null} null when the application can't be moved to a smaller size
+ */
+function recommendedWorkerSize(app, cpu) {
+  const sizes = WORKER_SIZES[app.platform];
+  if (!sizes || !app.workerSize || cpu.average === null) {
+    return null;
+  }
+
+  const load = cpu.average * app.workerSize;
+  const peakLoad = cpu.max === null ? null : cpu.max * app.workerSize;
+  const fits = size => load / size <= TARGET_CPU_PERCENT && (peakLoad === null || peakLoad / size <= MAX_PEAK_CPU_PERCENT);
+
+  const smaller = sizes.filter(size => size < app.workerSize && fits(size));
+  return smaller.length > 0 ? Math.min(...smaller) : null;
+}
+
+/**
+ * Find ways to lower the billable flows, messages and vCores of an inventory
+ *
+ * Each finding carries its estimated saving: flows and monthly messages from the
+ * inventory's estimates, vCores for worker sizes, and an annual cost at the cost
+ * model's list prices when one is configured. An application recommended for
+ * removal isn't recommended anything else, so savings can be added up.
+ *
+ * @param {object} inventory complete-billable-consumption.json
+ * @param {object|null} costModel from normalizeCostModel
+ * @returns {Array<object>} findings, largest saving first within each category
+ */
+function recommendOptimizations(inventory, costModel) {
+  const findings = [];
+  const removed = new Set();
+
+  const saving = (flows, monthlyMessages, vCores) => ({
+    flows,
+    monthlyMessages,
+    vCores,
+    annualCost: costModel
+      ? roundCents(flows * costModel.pricePerFlow +
+        monthlyMessages * 12 / 1000000 * costModel.pricePerMillionMessages +
+        vCores * costModel.pricePerVCore)
+      : null
+  });
+
+  const add = (category, group, env, app, finding, action, savings) => {
+    findings.push({
+      category,
+      businessGroup: group.name,
+      environment: env ? env.name : '',
+      isProduction: env ? Boolean(env.isProduction) : null,
+      application: app,
+      finding,
+      action,
+      savings
+    });
+  };
+
+  const deployments = [];
+  inventory.businessGroups.forEach(group => {
+    group.environments.forEach(env => {
+      env.applications.forEach(app => {
+        deployments.push({ group, env, app, key: `${group.id}/${env.id}/${app.domain}` });
+      });
+    });
+  });
+
+  const flowsOf = app => app.flowAnalysis?.estimatedFlows || 0;
+  const messagesOf = app => app.messageAnalysis?.estimatedMonthlyMessages || 0;
+  const vCoresOf = app => (app.workerSize || 0) * (app.numberOfWorkers || 0);
+
+  // Stopped sandbox applications still count toward the billable flows
+  deployments
+    .filter(({ env, app }) => !env.isProduction && STOPPED_STATUSES.includes(String(app.status).toUpperCase()))
+    .forEach(({ group, env, app, key }) => {
+      removed.add(key);
+      add('Stopped sandbox application', group, env, app.domain,
+        `Status ${app.status} with ${flowsOf(app)} billable flows`,
+        'Delete the application if it is no longer needed',
+        saving(flowsOf(app), messagesOf(app), vCoresOf(app)));
+    });
+
+  // Applications whose message metrics show no traffic in the period
+  deployments
+    .filter(({ app, key }) => !removed.has(key) &&
+      MEASURED_CONFIDENCE.includes(app.messageAnalysis?.confidence) &&
+      app.messageAnalysis.estimatedMonthlyMessages === 0)
+    .forEach(({ group, env, app, key }) => {
+      removed.add(key);
+      add('Application without messages', group, env, app.domain,
+        `No messages in ${app.monitoringData?.period?.days || 'the analysis'} days with ${flowsOf(app)} billable flows`,
+        'Confirm the application is unused, then delete it or merge it into another application',
+        saving(flowsOf(app), 0, vCoresOf(app)));
+    });
+
+  // Production flows only reached through flow-ref can become sub-flows, which aren't billable
+  deployments
+    .filter(({ env, key }) => env.isProduction && !removed.has(key))
+    .forEach(({ group, env, app }) => {
+      const candidates = buildFlowInventory(app).filter(flow => flow.billable && flow.triggerType === 'Flow reference');
+      if (candidates.length === 0) {
+        return;
+      }
+      const names = candidates.map(flow => flow.name);
+      add('Flows to convert to sub-flows', group, env, app.domain,
+        `${candidates.length} of ${flowsOf(app)} flows have no message source: ${names.join('; ')}`,
+        'Convert them to sub-flows unless they need their own error handler or are called with lookup()',
+        saving(Math.min(candidates.length, flowsOf(app)), 0, 0));
+    });
+
+  // The same application deployed to several sandbox environments
+  const copies = new Map();
+  deployments
+    .filter(({ env, key }) => !env.isProduction && !removed.has(key))
+    .forEach(deployment => {
+      const name = `${deployment.group.id}/${baseApplicationName(deployment.app.domain, deployment.env.name)}`;
+      copies.set(name, [...(copies.get(name) || []), deployment]);
+    });
+  copies.forEach(list => {
+    if (new Set(list.map(({ env }) => env.id)).size < 2) {
+      return;
+    }
+    // Keep the busiest copy
+    const sorted = [...list].sort((a, b) => messagesOf(b.app) - messagesOf(a.app));
+    const extra = sorted.slice(1);
+    extra.forEach(({ key }) => removed.add(key));
+    add('Duplicate sandbox deployments', list[0].group, null,
+      list.map(({ env, app }) => `${app.domain} (${env.name})`).join('; '),
+      `${list.length} sandbox deployments of ${baseApplicationName(list[0].app.domain, list[0].env.name)}`,
+      `Share one sandbox deployment, e.g. ${sorted[0].app.domain} in ${sorted[0].env.name}, and delete the others`,
+      saving(
+        extra.reduce((sum, { app }) => sum + flowsOf(app), 0),
+        extra.reduce((sum, { app }) => sum + messagesOf(app), 0),
+        extra.reduce((sum, { app }) => sum + vCoresOf(app), 0)));
+  });
+
+  // Workers much larger than the CPU they use
+  deployments
+    .filter(({ key }) => !removed.has(key))
+    .forEach(({ group, env, app }) => {
+      const cpu = {
+        average: cpuAverage(app.monitoringData),
+        max: typeof app.monitoringData?.resourceData?.cpu?.max === 'number' ? app.monitoringData.resourceData.cpu.max : null
+      };
+      const size = recommendedWorkerSize(app, cpu);
+      if (size === null) {
+        return;
+      }
+      const workers = app.numberOfWorkers || 1;
+      add('Oversized workers', group, env, app.domain,
+        `Average CPU ${cpu.average.toFixed(1)}% on ${app.workerSize} vCore workers`,
+        `Resize to ${size} vCore workers`,
+        saving(0, 0, Math.round((app.workerSize - size) * workers * 100) / 100));
+    });
+
+  const order = findings.map(finding => finding.category).filter((category, i, all) => all.indexOf(category) === i);
+  return findings.sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category) ||
+    (b.savings.annualCost || 0) - (a.savings.annualCost || 0) ||
+    b.savings.flows - a.savings.flows ||
+    b.savings.vCores - a.savings.vCores);
+}
+
+/**
+ * Add up the savings of a list of findings
+ */
+function totalSavings(findings) {
+  const sum = field => findings.reduce((total, finding) => total + finding.savings[field], 0);
+
+  return {
+    flows: sum('flows'),
+    monthlyMessages: sum('monthlyMessages'),
+    vCores: Math.round(sum('vCores') * 100) / 100,
+    // Costs are only known when the findings were priced with a cost model
+    annualCost: findings.some(finding => finding.savings.annualCost === null) ? null : roundCents(sum('annualCost'))
+  };
+}
+
+module.exports = {
+  baseApplicationName,
+  recommendOptimizations,
+  totalSavings
+};
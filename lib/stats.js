@@ -0,0 +1,178 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Arithmetic mean, or 0 for no values
+ */
+function mean(values) {
+  return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Two-sided 95% Student-t quantiles for 1 to 30 degrees of freedom
+const T_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145, 2.131,
+  2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+const Z_95 = 1.96;
+
+/**
+ * Multiplier of the standard error for a two-sided 95% interval
+ *
+ * Uses the Student-t distribution, which is wider than the normal one when the
+ * spread is itself estimated from few observations.
+ *
+ * @param {number} degreesOfFreedom observations minus fitted parameters; Infinity for the normal quantile
+ */
+function tQuantile95(degreesOfFreedom) {
+  if (!(degreesOfFreedom >= 1)) {
+    return Infinity;
+  }
+  if (degreesOfFreedom <= T_95.length) {
+    return T_95[Math.floor(degreesOfFreedom) - 1];
+  }
+
+  // Cornish-Fisher expansion, within 0.001 of the exact quantile beyond the table
+  const z = Z_95;
+  return z + (z ** 3 + z) / (4 * degreesOfFreedom) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * degreesOfFreedom ** 2);
+}
+
+/**
+ * Nearest-rank percentile of a list of values
+ *
+ * @param {number[]} values
+ * @param {number} p percentile between 0 and 100
+ * @returns {number|null} null for no values
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil(p / 100 * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Least-squares line through a set of points
+ *
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{slope: number, intercept: number}|null} null with fewer than two distinct x values
+ */
+function linearRegression(points) {
+  if (points.length < 2) {
+    return null;
+  }
+
+  const meanX = mean(points.map(point => point.x));
+  const meanY = mean(points.map(point => point.y));
+  let numerator = 0;
+  let denominator = 0;
+
+  points.forEach(point => {
+    numerator += (point.x - meanX) * (point.y - meanY);
+    denominator += (point.x - meanX) * (point.x - meanX);
+  });
+
+  if (denominator === 0) {
+    return null;
+  }
+
+  const slope = numerator / denominator;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+/**
+ * Invert a square matrix by Gauss-Jordan elimination
+ *
+ * @returns {number[][]|null} null when the matrix is singular
+ */
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-10) {
+      return null;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    const divisor = rows[column][column];
+    rows[column] = rows[column].map(value => value / divisor);
+    for (let row = 0; row < size; row++) {
+      if (row !== column) {
+        const factor = rows[row][column];
+        rows[row] = rows[row].map((value, j) => value - factor * rows[column][j]);
+      }
+    }
+  }
+
+  return rows.map(row => row.slice(size));
+}
+
+/**
+ * Ordinary least squares with several predictors and an intercept
+ *
+ * @param {number[][]} xs predictor values for each observation, without the intercept
+ * @param {number[]} ys observed values
+ * @returns {object|null} coefficients (intercept first), residual standard deviation,
+ *   R squared and what is needed for prediction intervals; null when the predictors
+ *   are collinear or there are too few observations to measure the residuals
+ */
+function multipleRegression(xs, ys) {
+  const design = xs.map(row => [1, ...row]);
+  const parameters = design[0] ? design[0].length : 0;
+  if (design.length <= parameters) {
+    return null;
+  }
+
+  const xtx = Array.from({ length: parameters }, (_, i) =>
+    Array.from({ length: parameters }, (_, j) => design.reduce((sum, row) => sum + row[i] * row[j], 0)));
+  const inverse = invertMatrix(xtx);
+  if (!inverse) {
+    return null;
+  }
+
+  const xty = Array.from({ length: parameters }, (_, i) => design.reduce((sum, row, k) => sum + row[i] * ys[k], 0));
+  const coefficients = inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+  const fitted = design.map(row => row.reduce((sum, value, j) => sum + value * coefficients[j], 0));
+  const sse = ys.reduce((sum, y, k) => sum + (y - fitted[k]) ** 2, 0);
+  const meanY = mean(ys);
+  const sst = ys.reduce((sum, y) => sum + (y - meanY) ** 2, 0);
+
+  return {
+    coefficients,
+    inverse,
+    n: ys.length,
+    degreesOfFreedom: ys.length - parameters,
+    residualStdDev: Math.sqrt(sse / (ys.length - parameters)),
+    rSquared: sst > 0 ? 1 - sse / sst : 0
+  };
+}
+
+module.exports = {
+  linearRegression,
+  mean,
+  multipleRegression,
+  percentile,
+  tQuantile95
+};
@@ -0,0 +1,189 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { createZip } = require('./zip-writer');
+
+// Excel limits on sheet names
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARACTERS = /[:\\/?*[\]\u0000-\u001f]/g;
+
+const MAX_COLUMN_WIDTH = 60;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Escape text for XML, dropping control characters XML can't represent
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a zero-based index: 0 is A, 26 is AA
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+/**
+ * Make sheet names valid and unique, as Excel refuses to open workbooks otherwise
+ */
+function uniqueSheetNames(names) {
+  const used = new Set();
+
+  return names.map(raw => {
+    const base = String(raw || 'Sheet')
+      .replace(INVALID_SHEET_NAME_CHARACTERS, ' ')
+      .replace(/^'+|'+$/g, '')
+      .trim() || 'Sheet';
+
+    let name = base.slice(0, MAX_SHEET_NAME_LENGTH);
+    for (let i = 2; used.has(name.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function cell(reference, value, style) {
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Render a worksheet with a bold, frozen header row and an autofilter over the data
+ */
+function renderSheet(sheet) {
+  const columnCount = sheet.headers.length;
+  const lastColumn = columnName(Math.max(0, columnCount - 1));
+  const lastRow = sheet.rows.length + 1;
+
+  const widths = sheet.headers.map((header, i) => Math.min(MAX_COLUMN_WIDTH, Math.max(
+    String(header).length,
+    ...sheet.rows.map(row => (row[i] === null || row[i] === undefined ? 0 : String(row[i]).length))
+  ) + 2));
+
+  const header = `<row r="1">${sheet.headers.map((text, i) => cell(`${columnName(i)}1`, text, 1)).join('')}</row>`;
+  const rows = sheet.rows.map((row, r) => {
+    // Empty cells are left out rather than written as empty strings
+    const cells = row
+      .map((value, i) => (value === null || value === undefined || value === '' ? '' : cell(`${columnName(i)}${r + 2}`, value)))
+      .join('');
+    return `<row r="${r + 2}">${cells}</row>`;
+  });
+
+  return XML_HEADER +
+    `<worksheet xmlns="${MAIN_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+    `<dimension ref="A1:${lastColumn}${lastRow}"/>` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView></sheetViews>' +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+    `<sheetData>${header}${rows.join('')}</sheetData>` +
+    (columnCount > 0 ? `<autoFilter ref="A1:${lastColumn}${lastRow}"/>` : '') +
+    '</worksheet>';
+}
+
+/**
+ * Build an XLSX workbook in memory
+ *
+ * Numbers are written as numeric cells and everything else as text. Every sheet
+ * gets a bold header row that stays in place when scrolling and an autofilter.
+ *
+ * @param {Array<{name: string, headers: string[], rows: Array<Array<string|number|null>>}>} sheets in tab order
+ * @returns {Buffer}
+ */
+function createWorkbook(sheets) {
+  if (sheets.length === 0) {
+    throw new Error('A workbook needs at least one sheet');
+  }
+
+  const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+
+  const contentTypes = XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '</Types>';
+
+  const rootRelationships = XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  // Excel records each sheet's autofilter range as a hidden defined name
+  const filterNames = sheets.map((sheet, i) => {
+    const lastColumn = columnName(Math.max(0, sheet.headers.length - 1));
+    const sheetName = `'${names[i].replace(/'/g, "''")}'`;
+    return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">${escapeXml(sheetName)}!$A$1:$${lastColumn}$${sheet.rows.length + 1}</definedName>`;
+  }).join('');
+
+  const workbook = XML_HEADER +
+    `<workbook xmlns="${MAIN_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+    `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+    `<definedNames>${filterNames}</definedNames>` +
+    '</workbook>';
+
+  const workbookRelationships = XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  // Style 0 is the default, style 1 the bold header
+  const styles = XML_HEADER +
+    `<styleSheet xmlns="${MAIN_NAMESPACE}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRelationships },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRelationships },
+    { name: 'xl/styles.xml', content: styles },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: renderSheet(sheet) }))
+  ]);
+}
+
+module.exports = {
+  createWorkbook
+};
@@ -0,0 +1,253 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * A small non-validating XML parser for Mule configuration files.
+ *
+ * Comments, processing instructions, CDATA and DOCTYPE declarations are skipped,
+ * and element names are resolved against their xmlns declarations so that
+ * prefixed and unprefixed elements in the same namespace compare equal.
+ */
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+class XmlParseError extends Error {
+  constructor(message, position) {
+    super(`${message} at offset ${position}`);
+    this.name = 'XmlParseError';
+    this.position = position;
+  }
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    }
+    return PREDEFINED_ENTITIES[entity] !== undefined ? PREDEFINED_ENTITIES[entity] : match;
+  });
+}
+
+function splitQualifiedName(qualifiedName) {
+  const colon = qualifiedName.indexOf(':');
+  return colon === -1
+    ? { prefix: '', localName: qualifiedName }
+    : { prefix: qualifiedName.slice(0, colon), localName: qualifiedName.slice(colon + 1) };
+}
+
+/**
+ * Skip a construct that ends with a fixed terminator, returning the position after it
+ */
+function skipPast(xml, position, terminator, description) {
+  const end = xml.indexOf(terminator, position);
+  if (end === -1) {
+    throw new XmlParseError(`Unterminated ${description}`, position);
+  }
+  return end + terminator.length;
+}
+
+/**
+ * Skip a DOCTYPE declaration, which may contain an internal subset in brackets
+ */
+function skipDoctype(xml, position) {
+  let depth = 0;
+  for (let i = position; i < xml.length; i++) {
+    if (xml[i] === '[') {
+      depth++;
+    } else if (xml[i] === ']') {
+      depth--;
+    } else if (xml[i] === '>' && depth === 0) {
+      return i + 1;
+    }
+  }
+  throw new XmlParseError('Unterminated DOCTYPE', position);
+}
+
+/**
+ * Parse the attributes of a start tag, returning them with the position of the tag end
+ */
+function parseAttributes(xml, position) {
+  const attributes = {};
+  const attributePattern = /\s*([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/y;
+
+  for (;;) {
+    const whitespace = /\s*/y;
+    whitespace.lastIndex = position;
+    whitespace.exec(xml);
+    position = whitespace.lastIndex;
+
+    if (xml.startsWith('/>', position)) {
+      return { attributes, selfClosing: true, end: position + 2 };
+    }
+    if (xml[position] === '>') {
+      return { attributes, selfClosing: false, end: position + 1 };
+    }
+
+    attributePattern.lastIndex = position;
+    const match = attributePattern.exec(xml);
+    if (!match) {
+      throw new XmlParseError('Malformed attribute', position);
+    }
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    position = attributePattern.lastIndex;
+  }
+}
+
+/**
+ * Resolve element and namespace information using the in-scope namespace bindings
+ */
+function createElement(qualifiedName, attributes, parentNamespaces) {
+  const namespaces = Object.assign({}, parentNamespaces);
+
+  Object.keys(attributes).forEach(name => {
+    if (name === 'xmlns') {
+      namespaces[''] = attributes[name];
+    } else if (name.startsWith('xmlns:')) {
+      namespaces[name.slice(6)] = attributes[name];
+    }
+  });
+
+  const { prefix, localName } = splitQualifiedName(qualifiedName);
+  if (prefix && namespaces[prefix] === undefined) {
+    throw new Error(`Undeclared namespace prefix "${prefix}" on element <${qualifiedName}>`);
+  }
+
+  return {
+    name: qualifiedName,
+    prefix,
+    localName,
+    namespace: namespaces[prefix] || null,
+    attributes,
+    children: [],
+    text: '',
+    namespaces
+  };
+}
+
+/**
+ * Parse an XML document into an element tree
+ *
+ * Each element has `name`, `prefix`, `localName`, `namespace`, `attributes`,
+ * `children` and the concatenated `text` of its direct text content.
+ *
+ * @param {string} xml document text
+ * @returns {object} the root element
+ */
+function parseXml(xml) {
+  const stack = [];
+  let root = null;
+  let position = 0;
+
+  // Skip a byte order mark left in by some editors
+  if (xml.charCodeAt(0) === 0xfeff) {
+    position = 1;
+  }
+
+  while (position < xml.length) {
+    const tagStart = xml.indexOf('<', position);
+
+    if (tagStart === -1) {
+      if (stack.length > 0) {
+        stack[stack.length - 1].text += decodeEntities(xml.slice(position));
+      }
+      break;
+    }
+
+    if (tagStart > position && stack.length > 0) {
+      stack[stack.length - 1].text += decodeEntities(xml.slice(position, tagStart));
+    }
+
+    if (xml.startsWith('<!--', tagStart)) {
+      position = skipPast(xml, tagStart + 4, '-->', 'comment');
+    } else if (xml.startsWith('<![CDATA[', tagStart)) {
+      const end = xml.indexOf(']]>', tagStart + 9);
+      if (end === -1) {
+        throw new XmlParseError('Unterminated CDATA section', tagStart);
+      }
+      if (stack.length > 0) {
+        stack[stack.length - 1].text += xml.slice(tagStart + 9, end);
+      }
+      position = end + 3;
+    } else if (xml.startsWith('<?', tagStart)) {
+      position = skipPast(xml, tagStart + 2, '?>', 'processing instruction');
+    } else if (xml.startsWith('<!DOCTYPE', tagStart)) {
+      position = skipDoctype(xml, tagStart);
+    } else if (xml[tagStart + 1] === '/') {
+      const tagEnd = xml.indexOf('>', tagStart);
+      if (tagEnd === -1) {
+        throw new XmlParseError('Unterminated end tag', tagStart);
+      }
+      const name = xml.slice(tagStart + 2, tagEnd).trim();
+      const element = stack.pop();
+      if (!element || element.name !== name) {
+        throw new XmlParseError(`Unexpected end tag </${name}>`, tagStart);
+      }
+      position = tagEnd + 1;
+    } else {
+      const namePattern = /[^\s/>]+/y;
+      namePattern.lastIndex = tagStart + 1;
+      const nameMatch = namePattern.exec(xml);
+      if (!nameMatch) {
+        throw new XmlParseError('Missing element name', tagStart);
+      }
+
+      const { attributes, selfClosing, end } = parseAttributes(xml, namePattern.lastIndex);
+      const parent = stack[stack.length - 1];
+      let element;
+      try {
+        element = createElement(nameMatch[0], attributes, parent ? parent.namespaces : { xml: XML_NAMESPACE });
+      } catch (error) {
+        throw new XmlParseError(error.message, tagStart);
+      }
+
+      if (parent) {
+        parent.children.push(element);
+      } else if (root) {
+        throw new XmlParseError('Multiple root elements', tagStart);
+      } else {
+        root = element;
+      }
+
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      position = end;
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new XmlParseError(`Unclosed element <${stack[stack.length - 1].name}>`, xml.length);
+  }
+  if (!root) {
+    throw new XmlParseError('No root element', 0);
+  }
+
+  return root;
+}
+
+module.exports = {
+  XmlParseError,
+  parseXml
+};
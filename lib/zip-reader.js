@@ -0,0 +1,177 @@
+/*
+ * Copyright 2025 Ryan Hoegg
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Record signatures from the ZIP specification (APPNOTE.TXT)
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const LOCAL_FILE_HEADER_SIZE = 30;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Read a slice of an open file into a new buffer
+ */
+async function readAt(fileHandle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await fileHandle.read(buffer, 0, length, position);
+  return bytesRead < length ? buffer.slice(0, bytesRead) : buffer;
+}
+
+/**
+ * Locate the end of central directory record, which sits before an optional trailing comment
+ */
+async function readEndOfCentralDirectory(fileHandle, fileSize) {
+  const tailSize = Math.min(fileSize, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE);
+  const tail = await readAt(fileHandle, fileSize - tailSize, tailSize);
+
+  for (let i = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      const entryCount = tail.readUInt16LE(i + 10);
+      const directorySize = tail.readUInt32LE(i + 12);
+      const directoryOffset = tail.readUInt32LE(i + 16);
+
+      if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+      }
+
+      return { entryCount, directorySize, directoryOffset };
+    }
+  }
+
+  throw new Error('Not a ZIP archive: end of central directory not found');
+}
+
+/**
+ * Parse the central directory into a list of entry descriptors
+ */
+function parseCentralDirectory(directory, entryCount) {
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error(`Corrupt central directory at entry ${i}`);
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const nameBytes = directory.slice(offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      // Bit 11 marks UTF-8 names; older tools wrote CP437, which is ASCII-compatible for our purposes
+      name: nameBytes.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      encrypted: (flags & 0x1) !== 0,
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read and decompress the contents of a single entry
+ */
+async function readEntryContent(fileHandle, entry) {
+  if (entry.encrypted) {
+    throw new Error(`Entry ${entry.name} is encrypted`);
+  }
+
+  // The local header repeats the name and may carry a different extra field, so read its lengths
+  const header = await readAt(fileHandle, entry.localHeaderOffset, LOCAL_FILE_HEADER_SIZE);
+  if (header.length < LOCAL_FILE_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_FILE_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt local header for entry ${entry.name}`);
+  }
+
+  const dataOffset = entry.localHeaderOffset + LOCAL_FILE_HEADER_SIZE +
+    header.readUInt16LE(26) + header.readUInt16LE(28);
+  const data = await readAt(fileHandle, dataOffset, entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) {
+    return data;
+  }
+
+  if (entry.method === METHOD_DEFLATED) {
+    return zlib.inflateRawSync(data);
+  }
+
+  throw new Error(`Unsupported compression method ${entry.method} for entry ${entry.name}`);
+}
+
+/**
+ * List the file entries of a ZIP or JAR archive without reading their contents
+ */
+async function listZipEntries(zipPath) {
+  const fileHandle = await fs.promises.open(zipPath, 'r');
+
+  try {
+    const { size } = await fileHandle.stat();
+    const { entryCount, directorySize, directoryOffset } = await readEndOfCentralDirectory(fileHandle, size);
+    const directory = await readAt(fileHandle, directoryOffset, directorySize);
+
+    return parseCentralDirectory(directory, entryCount).filter(entry => !entry.name.endsWith('/'));
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+/**
+ * Read the entries of a ZIP or JAR archive whose names match a filter
+ *
+ * Only the central directory and the matching entries are read from disk,
+ * and their contents are decompressed into memory.
+ *
+ * @param {string} zipPath path to the archive
+ * @param {function(string): boolean} [filter] receives each entry name; all entries are read when omitted
+ * @returns {Promise<Array<{name: string, size: number, content: Buffer}>>}
+ */
+async function readZipEntries(zipPath, filter = () => true) {
+  const entries = (await listZipEntries(zipPath)).filter(entry => filter(entry.name));
+  const fileHandle = await fs.promises.open(zipPath, 'r');
+
+  try {
+    const results = [];
+    for (const entry of entries) {
+      results.push({
+        name: entry.name,
+        size: entry.size,
+        content: await readEntryContent(fileHandle, entry)
+      });
+    }
+    return results;
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+module.exports = {
+  listZipEntries,
+  readZipEntries
+};